@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Module for representing BusTime service bulletins.
+ *
+ * @module BusTime/Bulletin
+ */
+
+/**
+ * The bulletin's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze([
+    'nm', 'sbj', 'dtl', 'brf', 'cse', 'efct', 'prty', 'srvc', 'url'
+]);
+
+/**
+ * Parses a service the bulletin affects.
+ *
+ * @private
+ * @param {Object} srvc - The service data.
+ * @returns {Object} The affected route (`rt`), direction (`rtdir`) and stop
+ * (`stpid`, `stpnm`), each `null` if not specified.
+ */
+function parseService(srvc) {
+    const { rt, rtdir, stpid, stpnm } = srvc;
+    return Object.freeze({
+        rt: rt || null,
+        rtdir: rtdir || null,
+        stpid: stpid || null,
+        stpnm: stpnm || null
+    });
+}
+
+/**
+ * Represents a service bulletin returned from the BusTime API.
+ *
+ * @alias module:BusTime/Bulletin
+ */
+class Bulletin {
+    /**
+     * Initializes the bulletin with data returned from the BusTime API.
+     *
+     * @param {Object} sb - The bulletin data.
+     */
+    constructor(sb) {
+        const { nm, sbj, dtl, brf, cse, efct, prty, srvc, url } = sb;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Bulletin.prototype */
+            {
+                /**
+                 * Unique name of the bulletin.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                nm: { value: nm },
+
+                /**
+                 * Subject of the bulletin.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                sbj: { value: sbj },
+
+                /**
+                 * Full text of the bulletin.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                dtl: { value: dtl },
+
+                /**
+                 * Short text of the bulletin, or `null` if not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                brf: { value: brf || null },
+
+                /**
+                 * Cause of the bulletin, or `null` if not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                cse: { value: cse || null },
+
+                /**
+                 * Effect of the bulletin, or `null` if not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                efct: { value: efct || null },
+
+                /**
+                 * Priority of the bulletin: `High`, `Medium` or `Low`.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                prty: { value: prty },
+
+                /**
+                 * The services the bulletin affects. Each has a route
+                 * (`rt`), direction (`rtdir`) and stop (`stpid`, `stpnm`),
+                 * any of which may be `null`.
+                 *
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                srvc: { value: Object.freeze((srvc || []).map(parseService)) },
+
+                /**
+                 * URL with more information, or `null` if not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                url: { value: url || null }
+            }
+        );
+    }
+
+    /**
+     * Converts the bulletin into a plain object, e.g. for
+     * `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the bulletin's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the bulletin into a human-readable string representation.
+     *
+     * @returns {string} A string representing the bulletin.
+     */
+    toString() {
+        return `[${this.prty}] ${this.sbj}: ${this.brf || this.dtl}`;
+    }
+}
+
+Object.freeze(Bulletin);
+module.exports = Bulletin;
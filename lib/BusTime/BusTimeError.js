@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * Module for representing errors reported by the BusTime API.
+ *
+ * @module BusTime/BusTimeError
+ */
+
+/**
+ * Represents an error reported by the BusTime API for a request, or for one of
+ * its parameters (e.g. one of several stop IDs).
+ *
+ * @alias module:BusTime/BusTimeError
+ */
+class BusTimeError extends Error {
+    /**
+     * Initializes the error.
+     *
+     * @param {Object} entry - The error data returned from the BusTime API.
+     * @param {string} entry.msg - The error message.
+     * @param {string} [entry.stpid] - The stop ID the error is about.
+     * @param {string} [entry.rt] - The route the error is about.
+     * @param {string} [entry.vid] - The vehicle ID the error is about.
+     * @param {string} [code=EBUSTIME] - The error code; see
+     * [`CODES`]{@link module:BusTime/BusTimeError.CODES}.
+     */
+    constructor(entry, code = BusTimeError.CODES.BUSTIME) {
+        const { msg, stpid, rt, vid } = entry;
+        const about = [
+            stpid && `stop ${stpid}`,
+            rt && `route ${rt}`,
+            vid && `vehicle ${vid}`
+        ].filter(Boolean);
+
+        super(about.length ? `${msg} (${about.join(', ')})` : String(msg));
+        this.name = this.constructor.name;
+
+        /**
+         * The error code.
+         *
+         * @type {string}
+         */
+        this.code = code;
+
+        /**
+         * The error message, as returned by the API.
+         *
+         * @type {string}
+         */
+        this.msg = msg;
+
+        /**
+         * The stop ID the error is about, or `null` if none.
+         *
+         * @type {string?}
+         */
+        this.stpid = stpid || null;
+
+        /**
+         * The route the error is about, or `null` if none.
+         *
+         * @type {string?}
+         */
+        this.rt = rt || null;
+
+        /**
+         * The vehicle ID the error is about, or `null` if none.
+         *
+         * @type {string?}
+         */
+        this.vid = vid || null;
+    }
+}
+
+/**
+ * Error codes.
+ *
+ * @readonly
+ * @enum {string}
+ */
+BusTimeError.CODES = Object.freeze({
+    /** Any other error reported by the API. */
+    BUSTIME: 'EBUSTIME',
+    /** Nothing is running (e.g. no arrival times at night). */
+    NO_SERVICE: 'ENOSERVICE',
+    /** A parameter (e.g. a stop ID) is invalid. */
+    BAD_PARAM: 'EBADPARAM',
+    /** The API key is invalid. */
+    BAD_KEY: 'EBADKEY',
+    /** The API key's daily transaction limit has been exceeded. */
+    LIMIT: 'ELIMIT'
+});
+
+/**
+ * Error for parameters with no service, e.g. stops with no arrival times.
+ * This is normal outside of service hours.
+ *
+ * @memberof module:BusTime/BusTimeError
+ */
+class NoServiceError extends BusTimeError {
+    /**
+     * Initializes the error.
+     *
+     * @param {Object} entry - The error data returned from the BusTime API.
+     */
+    constructor(entry) {
+        super(entry, BusTimeError.CODES.NO_SERVICE);
+    }
+}
+
+/**
+ * Error for invalid parameters, e.g. unknown stop IDs.
+ *
+ * @memberof module:BusTime/BusTimeError
+ */
+class ParameterError extends BusTimeError {
+    /**
+     * Initializes the error.
+     *
+     * @param {Object} entry - The error data returned from the BusTime API.
+     */
+    constructor(entry) {
+        super(entry, BusTimeError.CODES.BAD_PARAM);
+    }
+}
+
+/**
+ * Error for invalid API keys.
+ *
+ * @memberof module:BusTime/BusTimeError
+ */
+class KeyError extends BusTimeError {
+    /**
+     * Initializes the error.
+     *
+     * @param {Object} entry - The error data returned from the BusTime API.
+     */
+    constructor(entry) {
+        super(entry, BusTimeError.CODES.BAD_KEY);
+    }
+}
+
+/**
+ * Error for API keys over their daily transaction limit.
+ *
+ * @memberof module:BusTime/BusTimeError
+ */
+class LimitError extends BusTimeError {
+    /**
+     * Initializes the error.
+     *
+     * @param {Object} entry - The error data returned from the BusTime API.
+     */
+    constructor(entry) {
+        super(entry, BusTimeError.CODES.LIMIT);
+    }
+}
+
+/**
+ * Error classes, with the messages they match, most specific first.
+ *
+ * @private
+ * @readonly
+ * @type {Object[]}
+ */
+const ERROR_CLASSES = Object.freeze([
+    {
+        pattern: /no (arrival times|service scheduled)/i,
+        ErrorClass: NoServiceError
+    },
+    {
+        pattern: /transaction limit/i,
+        ErrorClass: LimitError
+    },
+    {
+        pattern: /api access key|invalid key/i,
+        ErrorClass: KeyError
+    },
+    {
+        // BusTime reports unknown stop IDs as "No data found".
+        pattern: /invalid|not found|no data found|maximum|no .* specified/i,
+        ErrorClass: ParameterError
+    }
+]);
+
+/**
+ * Parses an error returned from the BusTime API into the most specific error
+ * class matching its message.
+ *
+ * @param {Object|string} entry - The error data.
+ * @returns {module:BusTime/BusTimeError} The error.
+ */
+BusTimeError.parse = function parse(entry) {
+    const data = typeof entry === 'object' ? entry : { msg: entry };
+    const match = ERROR_CLASSES.find(({ pattern }) => pattern.test(data.msg));
+
+    return match ? new match.ErrorClass(data) : new BusTimeError(data);
+};
+
+/**
+ * Parses the errors in a BusTime API response.
+ *
+ * @param {Object} response - The response.
+ * @returns {module:BusTime/BusTimeError[]} The errors, if any.
+ */
+BusTimeError.fromResponse = function fromResponse(response) {
+    const { error } = response;
+    if (!error) {
+        return [];
+    }
+
+    return (error instanceof Array ? error : [error]).map(BusTimeError.parse);
+};
+
+BusTimeError.NoServiceError = NoServiceError;
+BusTimeError.ParameterError = ParameterError;
+BusTimeError.KeyError = KeyError;
+BusTimeError.LimitError = LimitError;
+
+Object.freeze(BusTimeError);
+module.exports = BusTimeError;
@@ -7,15 +7,108 @@
  */
 
 const { URL, URLSearchParams } = require('url');
+const EventEmitter = require('events');
 const BusTime = require('.');
+const BusTimeError = require('./BusTimeError');
+const Bulletin = require('./Bulletin');
+const DataFeed = require('./DataFeed');
+const Detour = require('./Detour');
+const Direction = require('./Direction');
+const Pattern = require('./Pattern');
 const Prediction = require('./Prediction');
+const Recorder = require('./Recorder');
+const Replayer = require('./Replayer');
+const Route = require('./Route');
+const Stop = require('./Stop');
+const Vehicle = require('./Vehicle');
+const TimeZone = require('../TimeZone');
+
+/**
+ * The number of nanoseconds in a second.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const NS_PER_S = 1e9;
+
+/**
+ * The most stop IDs the API accepts in one prediction request.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MAX_STOPS_PER_REQUEST = 10;
+
+/**
+ * Formats URL query parameters, joining lists with commas and leaving out
+ * those not given.
+ *
+ * @private
+ * @param {Object<string, *>} params - The parameters.
+ * @returns {Object<string, string>} The formatted parameters.
+ */
+function formatParams(params) {
+    const formatted = {};
+    Object.keys(params).forEach(key => {
+        const value = params[key];
+        if (value === null || typeof value === 'undefined') {
+            return;
+        }
+
+        formatted[key] = value instanceof Array
+            ? value.join(',')
+            : value.toString();
+    });
+
+    return formatted;
+}
+
+/**
+ * Attaches the errors a response reports about some of its parameters to the
+ * results for the others.
+ *
+ * @private
+ * @param {Array} results - The results.
+ * @param {Object} response - The response.
+ * @param {Error[]} [failures] - Errors from other requests whose results
+ * are missing, to list as well.
+ * @returns {Array} The results, with a `warnings` property listing the
+ * [`BusTimeError`s]{@link module:BusTime/BusTimeError} and other errors.
+ */
+function withWarnings(results, response, failures = []) {
+    return Object.defineProperty(results, 'warnings', {
+        value: Object.freeze(
+            BusTimeError.fromResponse(response).concat(failures)
+        )
+    });
+}
+
+/**
+ * Splits stop IDs into groups small enough to request together.
+ *
+ * @private
+ * @param {string|string[]} stpid - One or more stop IDs, as a list or
+ * comma-separated.
+ * @returns {Array<string[]>} The groups of stop IDs.
+ */
+function chunkStops(stpid) {
+    const stpids = [].concat(stpid).join(',').split(',').filter(id => id);
+    const chunks = [];
+    for (let i = 0; i < stpids.length; i += MAX_STOPS_PER_REQUEST) {
+        chunks.push(stpids.slice(i, i + MAX_STOPS_PER_REQUEST));
+    }
+
+    return chunks;
+}
 
 /**
  * Represents a BusTime API client.
  *
  * @alias module:BusTime/Client
  */
-class Client {
+class Client extends EventEmitter {
     /**
      * Initializes an API client.
      *
@@ -25,14 +118,34 @@ class Client {
      * @param {Object} [cfg.apiFeed] - API data feed to use, or none if not
      * specified. See BusTime developer guide, section 1.7.
      * when making requests.
+     * @param {Object} [cfg.http] - Timeouts and retries for requests; see
+     * [`BusTime.request()`]{@link module:BusTime.request}.
+     * @param {string} [cfg.apiTimeZone] - IANA time zone of the transit
+     * agency, which the API's timestamps are in. Defaults to the system time
+     * zone.
+     * @param {string} [cfg.record] - Path to a log file to record every
+     * request to; see [`Recorder`]{@link module:BusTime/Recorder}.
+     * @param {Object} [cfg.replay] - Replays responses from a recorded log
+     * instead of making requests; see
+     * [`Replayer`]{@link module:BusTime/Replayer}.
      */
     constructor(cfg) {
+        super();
+
         const {
             apiKey,
             apiURL = BusTime.API_URL,
-            apiFeed
+            apiFeed,
+            apiTimeZone,
+            record,
+            replay
         } = cfg;
 
+        let transport = replay ? new Replayer(replay) : BusTime;
+        if (record) {
+            transport = new Recorder(record, transport);
+        }
+
         Object.defineProperties(this,
             /** @lends module:BusTime/Client.prototype */
             {
@@ -60,7 +173,44 @@ class Client {
                  * @readonly
                  * @type {string?}
                  */
-                apiFeed: { value: apiFeed || null }
+                apiFeed: { value: apiFeed || null },
+
+                /**
+                 * Timeouts and retries for requests.
+                 *
+                 * @readonly
+                 * @type {Object}
+                 */
+                http: { value: Object.freeze(Object.assign({}, cfg.http)) },
+
+                /**
+                 * Time zone of the transit agency, which the API's timestamps
+                 * are in.
+                 *
+                 * @readonly
+                 * @type {module:TimeZone}
+                 */
+                agencyZone: { value: new TimeZone(apiTimeZone) },
+
+                /**
+                 * Makes the requests: the network, a
+                 * [`Replayer`]{@link module:BusTime/Replayer}, or either
+                 * through a [`Recorder`]{@link module:BusTime/Recorder}.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object}
+                 */
+                transport: { value: transport },
+
+                /**
+                 * Emits `cancel` to cancel the requests in progress.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {EventEmitter}
+                 */
+                canceller: { value: new EventEmitter() }
             }
         );
     }
@@ -97,36 +247,287 @@ class Client {
     }
 
     /**
-     * Gets predictions for the specified stop ID(s).
+     * Cancels the requests in progress, which reject with a
+     * [`CancelError`]{@link module:BusTime.CancelError}.
+     */
+    cancel() {
+        this.canceller.emit('cancel');
+    }
+
+    /**
+     * Requests the given API method.
+     *
+     * @private
+     * @emits module:BusTime/Client#request
+     * @emits module:BusTime/Client#retry
+     * @param {string} method - The API method.
+     * @param {Object<string, string>} [opts] - The URL query parameters.
+     * @returns {Promise} Resolves with an `Object` representing the parsed
+     * response, or rejects with an error.
+     */
+    async request(method, opts) {
+        const url = this.formatURL(method, this.apiFeed, opts);
+        const options = Object.assign({}, this.http, {
+            canceller: this.canceller,
+            onRetry: (error, retry, wait) => {
+                this.emit('retry', { method, retry, wait: wait / 1000, error });
+            }
+        });
+
+        const start = process.hrtime();
+        let response = null;
+        let error = null;
+        try {
+            const data = await this.transport.get(url, options);
+            response = BusTime.parseResponse(data);
+            return response;
+        } catch (err) {
+            error = err;
+            throw err;
+        } finally {
+            const [s, ns] = process.hrtime(start);
+            this.emit('request', {
+                method,
+                duration: s + ns / NS_PER_S,
+                response,
+                error
+            });
+        }
+    }
+
+    /**
+     * Requests the given API method and wraps each item of the response's
+     * list in a model class.
+     *
+     * @private
+     * @param {string} method - The API method.
+     * @param {Object<string, *>} params - The URL query parameters; see
+     * `formatParams()`.
+     * @param {string} key - The response's list.
+     * @param {Function} Model - The model class.
+     * @returns {Promise} Resolves with an array of models, which is empty if
+     * the response has no list, and whose `warnings` lists any errors about
+     * some of the parameters; or rejects with an error.
+     */
+    async requestList(method, params, key, Model) {
+        const response = await this.request(method, formatParams(params));
+        const items = (response[key] || []).map(item => {
+            return new Model(item, this.agencyZone);
+        });
+        return withWarnings(items, response);
+    }
+
+    /**
+     * Gets the API's current time.
+     *
+     * @returns {Promise} Resolves with a `Date`, or rejects with an error.
+     */
+    async getTime() {
+        const response = await this.request('gettime');
+        return BusTime.parseTimestamp(response.tm, this.agencyZone);
+    }
+
+    /**
+     * Gets every route.
      *
-     * @param {string|string[]} stpid - One or more stop ID(s).
-     * @param {number} [top=4] - Maximum number of predictions to fetch.
      * @returns {Promise} Resolves with an array of
-     * [`Prediction`s]{@link module:BusTime/Prediction} sorted from earliest to
-     * latest, or rejects with an error.
+     * [`Route`s]{@link module:BusTime/Route}, or rejects with an error.
+     */
+    getRoutes() {
+        return this.requestList('getroutes', {}, 'routes', Route);
+    }
+
+    /**
+     * Gets the directions of travel on the specified route.
+     *
+     * @param {string} rt - The route.
+     * @returns {Promise} Resolves with an array of
+     * [`Direction`s]{@link module:BusTime/Direction}, or rejects with an
+     * error.
+     */
+    async getDirections(rt) {
+        if (!rt) {
+            throw new Error('No route specified.');
+        }
+
+        return this.requestList('getdirections', { rt }, 'directions',
+            Direction);
+    }
+
+    /**
+     * Gets stops, either by route and direction or by stop ID.
+     *
+     * @param {Object} opts - Which stops to get.
+     * @param {string} [opts.rt] - The route, together with `dir`.
+     * @param {string} [opts.dir] - The direction of travel on the route.
+     * @param {string|string[]} [opts.stpid] - One or more stop ID(s), instead
+     * of `rt` and `dir`.
+     * @returns {Promise} Resolves with an array of
+     * [`Stop`s]{@link module:BusTime/Stop}, or rejects with an error.
+     */
+    async getStops(opts) {
+        const { rt, dir, stpid } = opts;
+        if (!(stpid && stpid.length) && !(rt && dir)) {
+            throw new Error('No stop IDs, or route and direction, specified.');
+        }
+
+        return this.requestList('getstops', { rt, dir, stpid }, 'stops', Stop);
+    }
+
+    /**
+     * Gets vehicle locations, either by vehicle ID or by route.
+     *
+     * @param {Object} opts - Which vehicles to get.
+     * @param {string|string[]} [opts.vid] - One or more vehicle ID(s).
+     * @param {string|string[]} [opts.rt] - One or more route(s), instead of
+     * `vid`.
+     * @returns {Promise} Resolves with an array of
+     * [`Vehicle`s]{@link module:BusTime/Vehicle}, or rejects with an error.
+     */
+    async getVehicles(opts) {
+        const { vid, rt } = opts;
+        if (!(vid && vid.length) && !(rt && rt.length)) {
+            throw new Error('No vehicle IDs or routes specified.');
+        }
+
+        return this.requestList('getvehicles', { vid, rt }, 'vehicle',
+            Vehicle);
+    }
+
+    /**
+     * Gets patterns, either by pattern ID or by route.
+     *
+     * @param {Object} opts - Which patterns to get.
+     * @param {number|number[]} [opts.pid] - One or more pattern ID(s).
+     * @param {string} [opts.rt] - The route, instead of `pid`.
+     * @returns {Promise} Resolves with an array of
+     * [`Pattern`s]{@link module:BusTime/Pattern}, or rejects with an error.
+     */
+    async getPatterns(opts) {
+        const { pid, rt } = opts;
+        if (!(pid || pid === 0) && !rt) {
+            throw new Error('No pattern IDs or route specified.');
+        }
+
+        return this.requestList('getpatterns', { pid, rt }, 'ptr', Pattern);
+    }
+
+    /**
+     * Gets the service bulletins affecting the specified routes or stops.
+     *
+     * @param {Object} opts - Which bulletins to get.
+     * @param {string|string[]} [opts.rt] - One or more route(s).
+     * @param {string} [opts.rtdir] - The direction of travel on the route.
+     * @param {string|string[]} [opts.stpid] - One or more stop ID(s).
+     * @returns {Promise} Resolves with an array of
+     * [`Bulletin`s]{@link module:BusTime/Bulletin}, or rejects with an error.
      */
-    async getStopPredictions(stpid, top = 4) {
-        if (stpid instanceof Array) {
-            stpid = stpid.join(',');
+    async getServiceBulletins(opts) {
+        const { rt, rtdir, stpid } = opts;
+        if (!(rt && rt.length) && !(stpid && stpid.length)) {
+            throw new Error('No routes or stop IDs specified.');
         }
 
-        if (!stpid) {
+        return this.requestList('getservicebulletins', { rt, rtdir, stpid },
+            'sb', Bulletin);
+    }
+
+    /**
+     * Gets detours, optionally only those affecting a route.
+     *
+     * @param {Object} [opts] - Which detours to get.
+     * @param {string} [opts.rt] - The route.
+     * @param {string} [opts.rtdir] - The direction of travel on the route.
+     * @returns {Promise} Resolves with an array of
+     * [`Detour`s]{@link module:BusTime/Detour}, or rejects with an error.
+     */
+    getDetours(opts = {}) {
+        const { rt, rtdir } = opts;
+        return this.requestList('getdetours', { rt, rtdir }, 'dtrs', Detour);
+    }
+
+    /**
+     * Gets the data feeds available; see `apiFeed`.
+     *
+     * @returns {Promise} Resolves with an array of
+     * [`DataFeed`s]{@link module:BusTime/DataFeed}, or rejects with an
+     * error.
+     */
+    getDataFeeds() {
+        return this.requestList('getrtpidatafeeds', {}, 'rtpidatafeeds',
+            DataFeed);
+    }
+
+    /**
+     * Gets predictions for the specified stop ID(s). More stops than the API
+     * accepts at once are requested in groups, and their predictions merged.
+     *
+     * @param {string|string[]} stpid - One or more stop ID(s).
+     * @param {number?} [top=4] - Maximum number of predictions to fetch, or
+     * `null` for all of them.
+     * @param {Array<string>?} [rt] - The routes to get predictions for, or
+     * `null` for every route.
+     * @returns {Promise} Resolves with an array of
+     * [`Prediction`s]{@link module:BusTime/Prediction} sorted from earliest to
+     * latest, or rejects with an error. Stops with no service, or with
+     * errors while others have predictions, are listed in the array's
+     * `warnings` as [`BusTimeError`s]{@link module:BusTime/BusTimeError}, as
+     * are the errors of any groups of stops that failed while others did not.
+     */
+    async getStopPredictions(stpid, top = 4, rt = null) {
+        const chunks = chunkStops(stpid);
+        if (!chunks.length) {
             throw new Error('No stop IDs specified.');
         }
 
-        const url = this.formatURL('getpredictions', this.apiFeed, {
-            stpid, top
-        });
+        const results = await Promise.all(chunks.map(chunk => {
+            const params = formatParams({ stpid: chunk, rt, top });
+            return this.request('getpredictions', params).catch(err => err);
+        }));
+
+        const failures = results.filter(result => result instanceof Error);
+        const cancel = failures.find(err => err instanceof BusTime.CancelError);
+        if (cancel || failures.length === results.length) {
+            throw cancel || failures[0];
+        }
 
-        const response = await BusTime.request(url);
-        return response.prd
-            .map(prd => new Prediction(prd))
+        const responses = results.filter(result => !failures.includes(result));
+        const prds = responses
+            .reduce((all, response) => all.concat(response.prd || []), [])
+            .map(prd => new Prediction(prd, this.agencyZone))
             .sort((a, b) => {
                 return a.prdctdn - b.prdctdn;
-            });
+            })
+            .slice(0, top || Infinity);
+        const error = responses
+            .reduce((all, response) => all.concat(response.error || []), []);
+        return withWarnings(prds, { error }, failures);
     }
 }
 
+/**
+ * API request event, emitted after each request completes or fails.
+ *
+ * @event module:BusTime/Client#request
+ * @type {Object}
+ * @property {string} method - The API method.
+ * @property {number} duration - How long the request took, in seconds.
+ * @property {Object?} response - The parsed response, or `null` on failure.
+ * @property {Error?} error - The error, or `null` on success.
+ */
+
+/**
+ * API retry event, emitted when a request fails transiently and is about to
+ * be retried.
+ *
+ * @event module:BusTime/Client#retry
+ * @type {Object}
+ * @property {string} method - The API method.
+ * @property {number} retry - The number of the retry.
+ * @property {number} wait - How long until the retry, in seconds.
+ * @property {Error} error - The error.
+ */
+
 Object.freeze(Client);
 module.exports = Client;
 
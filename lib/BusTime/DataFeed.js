@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Module for representing BusTime data feeds.
+ *
+ * @module BusTime/DataFeed
+ */
+
+/**
+ * The data feed's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze([
+    'name', 'source', 'displayname', 'enabled', 'visible'
+]);
+
+/**
+ * Represents a real-time passenger information data feed returned from the
+ * BusTime API. A feed's `name` may be given as the client's `apiFeed`.
+ *
+ * @alias module:BusTime/DataFeed
+ */
+class DataFeed {
+    /**
+     * Initializes the data feed with data returned from the BusTime API.
+     *
+     * @param {Object} feed - The data feed data.
+     */
+    constructor(feed) {
+        const { name, source, displayname, enabled, visible } = feed;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/DataFeed.prototype */
+            {
+                /**
+                 * Name of the data feed, as used by other API methods.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                name: { value: name },
+
+                /**
+                 * Source of the data feed.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                source: { value: source },
+
+                /**
+                 * Human-readable name of the data feed.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                displayname: { value: displayname || name },
+
+                /**
+                 * `true` if the data feed is enabled; `false` otherwise.
+                 *
+                 * @readonly
+                 * @type {boolean}
+                 */
+                enabled: { value: String(enabled) === 'true' },
+
+                /**
+                 * `true` if the data feed is publicly visible; `false`
+                 * otherwise.
+                 *
+                 * @readonly
+                 * @type {boolean}
+                 */
+                visible: { value: String(visible) === 'true' }
+            }
+        );
+    }
+
+    /**
+     * Converts the data feed into a plain object, e.g. for
+     * `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the data feed's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the data feed into a human-readable string representation.
+     *
+     * @returns {string} A string representing the data feed.
+     */
+    toString() {
+        return `${this.displayname} (${this.name})`;
+    }
+}
+
+Object.freeze(DataFeed);
+module.exports = DataFeed;
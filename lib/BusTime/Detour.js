@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Module for representing BusTime detours.
+ *
+ * @module BusTime/Detour
+ */
+
+const BusTime = require('.');
+
+/**
+ * The detour's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze([
+    'id', 'ver', 'st', 'desc', 'rtdirs', 'startdt', 'enddt', 'rtpidatafeed'
+]);
+
+/**
+ * Represents a detour returned from the BusTime API.
+ *
+ * @alias module:BusTime/Detour
+ */
+class Detour {
+    /**
+     * Initializes the detour with data returned from the BusTime API.
+     *
+     * @param {Object} dtr - The detour data.
+     * @param {module:TimeZone?} [agencyZone] - The transit agency's time
+     * zone, which the timestamps are in. Defaults to the system time zone.
+     */
+    constructor(dtr, agencyZone = null) {
+        const {
+            id, ver, st, desc, rtdirs, startdt, enddt, rtpidatafeed
+        } = dtr;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Detour.prototype */
+            {
+                /**
+                 * Detour ID.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                id: { value: id },
+
+                /**
+                 * Version of the detour; each change makes a new version.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                ver: { value: Number.parseInt(ver, 10) },
+
+                /**
+                 * State of the detour: `1` if active, `0` if canceled.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                st: { value: Number.parseInt(st, 10) },
+
+                /**
+                 * Description of the detour.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                desc: { value: desc },
+
+                /**
+                 * The routes and directions the detour affects, each with
+                 * its route (`rt`) and direction (`dir`).
+                 *
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                rtdirs: {
+                    value: Object.freeze((rtdirs || []).map(({ rt, dir }) => {
+                        return Object.freeze({ rt, dir });
+                    }))
+                },
+
+                /**
+                 * When the detour starts.
+                 *
+                 * @readonly
+                 * @type {Date}
+                 */
+                startdt: { value: BusTime.parseTimestamp(startdt, agencyZone) },
+
+                /**
+                 * When the detour ends.
+                 *
+                 * @readonly
+                 * @type {Date}
+                 */
+                enddt: { value: BusTime.parseTimestamp(enddt, agencyZone) },
+
+                /**
+                 * Name of the data feed the detour comes from, or `null` if
+                 * not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                rtpidatafeed: { value: rtpidatafeed || null }
+            }
+        );
+    }
+
+    /**
+     * Checks if the detour is active.
+     *
+     * @returns {boolean} `true` if the detour is active; `false` if it has
+     * been canceled.
+     */
+    isActive() {
+        return this.st === 1;
+    }
+
+    /**
+     * Converts the detour into a plain object, e.g. for `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the detour's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the detour into a human-readable string representation.
+     *
+     * @returns {string} A string representing the detour.
+     */
+    toString() {
+        const routes = this.rtdirs.map(({ rt, dir }) => `${rt} ${dir}`);
+        return `Detour #${this.id} (${routes.join(', ')}): ${this.desc}`;
+    }
+}
+
+Object.freeze(Detour);
+module.exports = Detour;
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Module for representing BusTime route directions.
+ *
+ * @module BusTime/Direction
+ */
+
+/**
+ * The direction's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze(['id', 'name']);
+
+/**
+ * Represents a direction of travel on a route returned from the BusTime API.
+ *
+ * @alias module:BusTime/Direction
+ */
+class Direction {
+    /**
+     * Initializes the direction with data returned from the BusTime API.
+     *
+     * @param {Object} dir - The direction data.
+     */
+    constructor(dir) {
+        const { id, name } = dir;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Direction.prototype */
+            {
+                /**
+                 * Direction designator, as used by other API methods (e.g.
+                 * `INBOUND`).
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                id: { value: id },
+
+                /**
+                 * Human-readable, language-specific name of the direction.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                name: { value: name || id }
+            }
+        );
+    }
+
+    /**
+     * Converts the direction into a plain object, e.g. for
+     * `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the direction's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the direction into a human-readable string representation.
+     *
+     * @returns {string} A string representing the direction.
+     */
+    toString() {
+        return this.name;
+    }
+}
+
+Object.freeze(Direction);
+module.exports = Direction;
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Module for filtering BusTime predictions.
+ *
+ * @module BusTime/Filter
+ */
+
+/**
+ * Prediction fields that may be filtered on.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze(['rt', 'rtdir', 'des']);
+
+/**
+ * Normalizes a set of filter criteria.
+ *
+ * @private
+ * @param {Object<string, (string|string[])>} [criteria] - Maps prediction
+ * fields to one or more accepted values.
+ * @throws {Error} Only fields in `FIELDS` may be specified.
+ * @returns {Object<string, string[]>} The normalized criteria.
+ */
+function normalize(criteria = {}) {
+    const normalized = {};
+    Object.keys(criteria).forEach(field => {
+        if (!FIELDS.includes(field)) {
+            throw new Error(`Cannot filter on unknown field "${field}"`);
+        }
+
+        const values = criteria[field];
+        normalized[field] = Object.freeze(
+            (values instanceof Array ? values : [values]).map(String)
+        );
+    });
+
+    return Object.freeze(normalized);
+}
+
+/**
+ * Represents a filter on predictions by route, direction and destination.
+ *
+ * @alias module:BusTime/Filter
+ */
+class Filter {
+    /**
+     * Initializes the filter.
+     *
+     * A prediction passes the filter if, for every field in `include`, its
+     * value is one of the listed values, and, for no field in `exclude`, its
+     * value is one of the listed values.
+     *
+     * @param {Object} [cfg] - Filter configuration.
+     * @param {Object<string, (string|string[])>} [cfg.include] - Maps
+     * prediction fields (`rt`, `rtdir`, `des`) to the values to include.
+     * @param {Object<string, (string|string[])>} [cfg.exclude] - Maps
+     * prediction fields (`rt`, `rtdir`, `des`) to the values to exclude.
+     */
+    constructor(cfg = {}) {
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Filter.prototype */
+            {
+                /**
+                 * Maps prediction fields to the values to include.
+                 *
+                 * @readonly
+                 * @type {Object<string, string[]>}
+                 */
+                include: { value: normalize(cfg.include) },
+
+                /**
+                 * Maps prediction fields to the values to exclude.
+                 *
+                 * @readonly
+                 * @type {Object<string, string[]>}
+                 */
+                exclude: { value: normalize(cfg.exclude) }
+            }
+        );
+    }
+
+    /**
+     * The routes to request predictions for, or `null` for every route.
+     *
+     * @readonly
+     * @type {Array<string>?}
+     */
+    get routes() {
+        return this.include.rt || null;
+    }
+
+    /**
+     * `true` if the filter only picks routes, so that predictions requested
+     * for `routes` all pass it.
+     *
+     * @readonly
+     * @type {boolean}
+     */
+    get routesOnly() {
+        return !Object.keys(this.exclude).length
+            && Object.keys(this.include).every(field => field === 'rt');
+    }
+
+    /**
+     * Tests whether the prediction passes the filter.
+     *
+     * @param {module:BusTime/Prediction} prd - The prediction.
+     * @returns {boolean} `true` if the prediction passes; `false` otherwise.
+     */
+    test(prd) {
+        const { include, exclude } = this;
+
+        return Object.keys(include).every(field => {
+            return include[field].includes(prd[field]);
+        }) && !Object.keys(exclude).some(field => {
+            return exclude[field].includes(prd[field]);
+        });
+    }
+
+    /**
+     * Filters the given predictions.
+     *
+     * @param {module:BusTime/Prediction[]} prds - The predictions.
+     * @returns {module:BusTime/Prediction[]} The predictions that pass the
+     * filter, in their original order.
+     */
+    apply(prds) {
+        return prds.filter(prd => this.test(prd));
+    }
+}
+
+Object.freeze(Filter);
+module.exports = Filter;
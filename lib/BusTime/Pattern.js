@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * Module for representing BusTime patterns.
+ *
+ * @module BusTime/Pattern
+ */
+
+/**
+ * The pattern's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze(['pid', 'ln', 'rtdir', 'pt']);
+
+/**
+ * Parses a point on a pattern.
+ *
+ * @private
+ * @param {Object} pt - The point data.
+ * @returns {Object} The point's sequence number (`seq`), `lat`, `lon` and
+ * type (`typ`: `S` for a stop, `W` for a waypoint), along with the stop's
+ * `stpid` and `stpnm` and its distance into the pattern in feet (`pdist`) if
+ * it is a stop, or `null` otherwise.
+ */
+function parsePoint(pt) {
+    const { seq, lat, lon, typ, stpid, stpnm, pdist } = pt;
+    const isStop = typ === 'S';
+    return Object.freeze({
+        seq: Number.parseInt(seq, 10),
+        lat: Number.parseFloat(lat),
+        lon: Number.parseFloat(lon),
+        typ,
+        stpid: isStop ? stpid : null,
+        stpnm: isStop ? stpnm : null,
+        pdist: isStop ? Number.parseFloat(pdist) : null
+    });
+}
+
+/**
+ * Represents a pattern (the geographic path a vehicle follows along a route)
+ * returned from the BusTime API.
+ *
+ * @alias module:BusTime/Pattern
+ */
+class Pattern {
+    /**
+     * Initializes the pattern with data returned from the BusTime API.
+     *
+     * @param {Object} ptr - The pattern data.
+     */
+    constructor(ptr) {
+        const { pid, ln, rtdir, pt } = ptr;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Pattern.prototype */
+            {
+                /**
+                 * Pattern ID.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                pid: { value: Number.parseInt(pid, 10) },
+
+                /**
+                 * Length of the pattern, in feet.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                ln: { value: Number.parseFloat(ln) },
+
+                /**
+                 * Direction of travel on the route.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                rtdir: { value: rtdir },
+
+                /**
+                 * The points making up the pattern, in order. Each has a
+                 * sequence number (`seq`), `lat`, `lon` and type (`typ`: `S`
+                 * for a stop, `W` for a waypoint); stops also have their
+                 * `stpid`, `stpnm` and distance into the pattern in feet
+                 * (`pdist`), which are `null` for waypoints.
+                 *
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                pt: {
+                    value: Object.freeze((pt || []).map(parsePoint).sort(
+                        (a, b) => a.seq - b.seq
+                    ))
+                }
+            }
+        );
+    }
+
+    /**
+     * Gets the stops on the pattern.
+     *
+     * @returns {Object[]} The points that are stops, in order.
+     */
+    stops() {
+        return this.pt.filter(pt => pt.typ === 'S');
+    }
+
+    /**
+     * Counts the stops a vehicle on the pattern has left to reach the given
+     * stop, including that stop.
+     *
+     * @param {string} stpid - The stop's ID.
+     * @param {number} pdist - How far the vehicle is into the pattern, in
+     * feet.
+     * @returns {number?} The number of stops, `0` if the vehicle is at the
+     * stop, or `null` if the stop is not on the pattern or the vehicle has
+     * passed it.
+     */
+    stopsAway(stpid, pdist) {
+        const stops = this.stops();
+        const target = stops.find(pt => pt.stpid === stpid);
+        if (!target || target.pdist < pdist) {
+            return null;
+        }
+
+        return stops.filter(pt => {
+            return pt.pdist > pdist && pt.pdist <= target.pdist;
+        }).length;
+    }
+
+    /**
+     * Converts the pattern into a plain object, e.g. for `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the pattern's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the pattern into a human-readable string representation.
+     *
+     * @returns {string} A string representing the pattern.
+     */
+    toString() {
+        const { pid, rtdir, ln } = this;
+        const stops = this.stops().length;
+        return `Pattern #${pid} - ${rtdir}: ${stops} stops `
+            + `(${(ln / 5280).toFixed(1)}mi)`;
+    }
+}
+
+Object.freeze(Pattern);
+module.exports = Pattern;
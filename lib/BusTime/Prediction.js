@@ -8,6 +8,28 @@
 
 const BusTime = require('.');
 
+/**
+ * The prediction's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze([
+    'tmstmp', 'typ', 'stpid', 'stpnm', 'vid', 'dstp', 'rt', 'rtdd', 'rtdir',
+    'des', 'prdtm', 'dly', 'dyn', 'tablockid', 'tatripid', 'prdctdn', 'zone',
+    'nbus'
+]);
+
+/**
+ * The number of milliseconds in a minute.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MS_PER_MIN = 60 * 1000;
+
 /**
  * Represents a prediction returned from the BusTime API.
  *
@@ -18,8 +40,10 @@ class Prediction {
      * Initializes the prediction with data returned from the BusTime API.
      *
      * @param {Object} prd - The prediction data.
+     * @param {module:TimeZone?} [agencyZone] - The transit agency's time
+     * zone, which the timestamps are in. Defaults to the system time zone.
      */
-    constructor(prd) {
+    constructor(prd, agencyZone = null) {
         const {
             tmstmp, typ, stpid, stpnm, vid, dstp, rt, rtdd, rtdir, des, prdtm,
             dly, dyn, tablockid, tatripid, prdctdn, zone, nbus
@@ -34,7 +58,7 @@ class Prediction {
                  * @readonly
                  * @type {Date}
                  */
-                tmstmp: { value: BusTime.parseTimestamp(tmstmp) },
+                tmstmp: { value: BusTime.parseTimestamp(tmstmp, agencyZone) },
 
                 /**
                  * Type of prediction. One of:
@@ -76,7 +100,7 @@ class Prediction {
                  * @readonly
                  * @type {number}
                  */
-                dstp: { value: dstp },
+                dstp: { value: Number.parseInt(dstp, 10) },
 
                 /**
                  * Alphanumeric designator of the vehicle's route.
@@ -116,7 +140,7 @@ class Prediction {
                  * @readonly
                  * @type {Date}
                  */
-                prdtm: { value: BusTime.parseTimestamp(prdtm) },
+                prdtm: { value: BusTime.parseTimestamp(prdtm, agencyZone) },
 
                 /**
                  * `true` if the vehicle is delayed; `false` otherwise.
@@ -124,7 +148,7 @@ class Prediction {
                  * @readonly
                  * @type {boolean}
                  */
-                dly: { value: dly },
+                dly: { value: String(dly) === 'true' },
 
                 /**
                  * The "dynamic action type" affecting this prediction. One of:
@@ -134,10 +158,12 @@ class Prediction {
                  * - 4: Expressed. The vehicle will only stop here at a rider's
                  *   request (drop-off only, no pickup).
                  *
+                 * See [`DYN`]{@link module:BusTime/Prediction.DYN}.
+                 *
                  * @readonly
                  * @type {number}
                  */
-                dyn: { value: dyn },
+                dyn: { value: Number.parseInt(dyn, 10) || Prediction.DYN.NONE },
 
                 /**
                  * Transit authority internal block identifier for the scheduled
@@ -187,6 +213,43 @@ class Prediction {
         );
     }
 
+    /**
+     * Estimates how long until the predicted arrival (or departure).
+     *
+     * This is measured from now to `prdtm`, so `now` should come from a clock
+     * synchronized with BusTime's (see [`Clock`]{@link module:Clock}). If
+     * `prdtm` is unusable, `prdctdn` is counted down from when the prediction
+     * was received instead.
+     *
+     * @param {Date} now - The current date.
+     * @param {Date} [received=now] - When the prediction was received.
+     * @returns {number} Milliseconds until the arrival; negative once it has
+     * passed.
+     */
+    timeUntil(now, received = now) {
+        const eta = this.prdtm.getTime() - now.getTime();
+        if (!Number.isNaN(eta)) {
+            return eta;
+        }
+
+        // `prdctdn` is rounded down to whole minutes; split the difference
+        return (this.prdctdn + 0.5) * MS_PER_MIN - (now - received);
+    }
+
+    /**
+     * Converts the prediction into a plain object, e.g. for `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the prediction's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
     /**
      * Converts the prediction into a human-readable string representation.
      *
@@ -204,6 +267,23 @@ class Prediction {
     }
 }
 
+/**
+ * Dynamic action types; see [`dyn`]{@link module:BusTime/Prediction#dyn}.
+ *
+ * @readonly
+ * @enum {number}
+ */
+Prediction.DYN = Object.freeze({
+    /** No change. */
+    NONE: 0,
+    /** The trip is canceled. */
+    CANCELED: 1,
+    /** The scheduled arrival time has changed. */
+    SHIFTED: 3,
+    /** The trip is expressed: drop-off only. */
+    EXPRESSED: 4
+});
+
 Object.freeze(Prediction);
 module.exports = Prediction;
 
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Module for recording BusTime API traffic.
+ *
+ * @module BusTime/Recorder
+ */
+
+const fs = require('fs');
+const { URL } = require('url');
+const { promisify } = require('util');
+
+const BusTime = require('.');
+
+const appendFilePromise = promisify(fs.appendFile);
+
+/**
+ * Replaces the API key in a request URL.
+ *
+ * @private
+ * @param {URL|string} url - The URL.
+ * @returns {string} The URL, with its `key` parameter redacted.
+ */
+function redact(url) {
+    const redacted = new URL(url.toString());
+    if (redacted.searchParams.has('key')) {
+        redacted.searchParams.set('key', 'REDACTED');
+    }
+
+    return redacted.toString();
+}
+
+/**
+ * Records every request made through another transport (by default, the
+ * network) to a log file, which a
+ * [`Replayer`]{@link module:BusTime/Replayer} can play back.
+ *
+ * The log has one JSON object per line, with the `time` of the request, its
+ * `url` with the API key redacted, and either the raw `response` (the
+ * `bustime-response`) or the `error` (its `message` and `code`).
+ *
+ * @alias module:BusTime/Recorder
+ */
+class Recorder {
+    /**
+     * Initializes the recorder.
+     *
+     * @param {string} file - Path to the log file, which is appended to.
+     * @param {Object} [transport=BusTime] - Makes the requests; anything with
+     * a [`get()`]{@link module:BusTime.get} method.
+     */
+    constructor(file, transport = BusTime) {
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Recorder.prototype */
+            {
+                /**
+                 * Path to the log file.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                file: { value: file },
+
+                /**
+                 * Makes the requests.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object}
+                 */
+                transport: { value: transport },
+
+                /**
+                 * The latest write to be issued.
+                 *
+                 * @private
+                 * @type {Promise}
+                 */
+                latestWrite: { value: Promise.resolve(), writable: true }
+            }
+        );
+    }
+
+    /**
+     * Requests the given URL, recording the response or error. Cancelled
+     * requests are not recorded.
+     *
+     * @param {URL} url - The URL to request.
+     * @param {Object} [opts] - Request options; see
+     * [`BusTime.get()`]{@link module:BusTime.get}.
+     * @returns {Promise} Resolves with the parsed body, or rejects with an
+     * error.
+     */
+    async get(url, opts) {
+        const entry = { time: new Date(), url: redact(url) };
+        try {
+            const data = await this.transport.get(url, opts);
+            entry.response = data && data['bustime-response'];
+            this.write(entry);
+            return data;
+        } catch (err) {
+            if (!(err instanceof BusTime.CancelError)) {
+                entry.error = { message: err.message, code: err.code || null };
+                this.write(entry);
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Appends an entry to the log. Failures are logged.
+     *
+     * @private
+     * @param {Object} entry - The entry.
+     * @returns {Promise} Resolves when the entry has been written, or failed
+     * to.
+     */
+    write(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        this.latestWrite = this.latestWrite
+            .then(() => appendFilePromise(this.file, line))
+            .catch(err => {
+                console.error(`Failed to record to ${this.file}`, err);
+            });
+
+        return this.latestWrite;
+    }
+}
+
+Recorder.redact = redact;
+
+Object.freeze(Recorder);
+module.exports = Recorder;
@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * Module for replaying recorded BusTime API traffic.
+ *
+ * @module BusTime/Replayer
+ */
+
+const fs = require('fs');
+const { URL } = require('url');
+
+/**
+ * Identifies a request by its API method and parameters, ignoring the API's
+ * base URL and key, so that requests match their recordings.
+ *
+ * @private
+ * @param {URL|string} url - The request URL.
+ * @returns {string} The request's method and sorted parameters.
+ */
+function requestKey(url) {
+    const parsed = new URL(url.toString());
+    const method = parsed.pathname.split('/').pop();
+    const params = Array.from(parsed.searchParams)
+        .filter(([name]) => name !== 'key')
+        .map(([name, value]) => `${name}=${value}`)
+        .sort();
+
+    return `${method}?${params.join('&')}`;
+}
+
+/**
+ * Recreates a recorded error.
+ *
+ * @private
+ * @param {Object} error - The recorded `message` and `code`.
+ * @returns {Error} The error.
+ */
+function replayError({ message, code }) {
+    const err = new Error(message);
+    if (code) {
+        err.code = code;
+    }
+
+    return err;
+}
+
+/**
+ * Loads a log written by a [`Recorder`]{@link module:BusTime/Recorder}.
+ *
+ * @private
+ * @param {string} file - Path to the log file.
+ * @throws {Error} The log must be readable and well-formed.
+ * @returns {Map<string, Object[]>} The entries, by request, each with the
+ * `time` of the request in milliseconds since the epoch.
+ */
+function loadLog(file) {
+    const requests = new Map();
+    fs.readFileSync(file, 'utf-8').split('\n').forEach((line, i) => {
+        if (!line.trim()) {
+            return;
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (err) {
+            throw new Error(`${file}:${i + 1}: ${err.message}`);
+        }
+
+        const key = requestKey(entry.url);
+        if (!requests.has(key)) {
+            requests.set(key, []);
+        }
+        requests.get(key).push(Object.freeze({
+            time: new Date(entry.time).getTime(),
+            response: entry.response,
+            error: entry.error || null
+        }));
+    });
+
+    return requests;
+}
+
+/**
+ * Serves BusTime API responses from a log recorded by a
+ * [`Recorder`]{@link module:BusTime/Recorder} instead of the network.
+ *
+ * Requests are matched to their recordings by API method and parameters. In
+ * `order` timing, each request gets the next recorded response to the same
+ * request. In `clock` timing, each request gets the latest response
+ * recorded at most as long after the start of the log as it has been since
+ * the first replayed request, so that a recording plays back in real time.
+ *
+ * @alias module:BusTime/Replayer
+ */
+class Replayer {
+    /**
+     * Initializes the replayer.
+     *
+     * @param {Object} cfg - Replay configuration.
+     * @param {string} cfg.file - Path to the log file.
+     * @param {string} [cfg.timing='order'] - `order` or `clock`.
+     * @throws {Error} The configuration must be valid, and the log must be
+     * readable and well-formed.
+     */
+    constructor(cfg) {
+        const { file, timing = 'order' } = cfg;
+        if (!['order', 'clock'].includes(timing)) {
+            throw new Error(`Unknown replay timing "${timing}"`);
+        }
+
+        const requests = loadLog(file);
+        if (!requests.size) {
+            throw new Error(`No recorded requests in ${file}`);
+        }
+
+        const times = Array.from(requests.values()).map(entries => {
+            return entries[0].time;
+        });
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Replayer.prototype */
+            {
+                /**
+                 * Path to the log file.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                file: { value: file },
+
+                /**
+                 * `order` or `clock`.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                timing: { value: timing },
+
+                /**
+                 * The recorded entries, by request.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Map<string, Object[]>}
+                 */
+                requests: { value: requests },
+
+                /**
+                 * Index of the next entry to replay for each request, in
+                 * `order` timing.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Map<string, number>}
+                 */
+                cursors: { value: new Map() },
+
+                /**
+                 * When the log starts, in milliseconds since the epoch.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {number}
+                 */
+                logStart: { value: Math.min(...times) },
+
+                /**
+                 * When the first request was replayed, in milliseconds since
+                 * the epoch, or `null` if none has been.
+                 *
+                 * @private
+                 * @type {number?}
+                 */
+                replayStart: { value: null, writable: true }
+            }
+        );
+    }
+
+    /**
+     * Replays the response to the given URL.
+     *
+     * @param {URL} url - The URL requested.
+     * @returns {Promise} Resolves with the recorded body, or rejects with the
+     * recorded error, or an error if there is no recording left to replay.
+     */
+    async get(url) {
+        const key = requestKey(url);
+        const entries = this.requests.get(key);
+        if (!entries) {
+            throw new Error(`No recorded response for ${key}`);
+        }
+
+        const entry = this.timing === 'order'
+            ? this.nextEntry(key, entries)
+            : this.entryAt(entries, Date.now());
+        if (entry.error) {
+            throw replayError(entry.error);
+        }
+
+        return { 'bustime-response': entry.response };
+    }
+
+    /**
+     * Gets the next entry to replay for a request, in `order` timing.
+     *
+     * @private
+     * @param {string} key - The request.
+     * @param {Object[]} entries - The request's entries.
+     * @throws {Error} There must be entries left.
+     * @returns {Object} The entry.
+     */
+    nextEntry(key, entries) {
+        const i = this.cursors.get(key) || 0;
+        if (i >= entries.length) {
+            throw new Error(`Recorded responses for ${key} ran out`);
+        }
+
+        this.cursors.set(key, i + 1);
+        return entries[i];
+    }
+
+    /**
+     * Gets the entry recorded at the same point in the log as the given time
+     * is in the replay, in `clock` timing.
+     *
+     * @private
+     * @param {Object[]} entries - The request's entries.
+     * @param {number} now - The current time, in milliseconds since the
+     * epoch.
+     * @returns {Object} The entry, or the first one if none was recorded that
+     * early.
+     */
+    entryAt(entries, now) {
+        if (this.replayStart === null) {
+            this.replayStart = now;
+        }
+
+        const time = this.logStart + now - this.replayStart;
+        const past = entries.filter(entry => entry.time <= time);
+        return past.length ? past[past.length - 1] : entries[0];
+    }
+}
+
+Object.freeze(Replayer);
+module.exports = Replayer;
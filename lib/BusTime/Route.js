@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Module for representing BusTime routes.
+ *
+ * @module BusTime/Route
+ */
+
+/**
+ * The route's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze(['rt', 'rtnm', 'rtclr', 'rtdd', 'rtpidatafeed']);
+
+/**
+ * Represents a route returned from the BusTime API.
+ *
+ * @alias module:BusTime/Route
+ */
+class Route {
+    /**
+     * Initializes the route with data returned from the BusTime API.
+     *
+     * @param {Object} route - The route data.
+     */
+    constructor(route) {
+        const { rt, rtnm, rtclr, rtdd, rtpidatafeed } = route;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Route.prototype */
+            {
+                /**
+                 * Alphanumeric designator of the route.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                rt: { value: rt },
+
+                /**
+                 * Common name of the route.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                rtnm: { value: rtnm },
+
+                /**
+                 * Color of the route, as a hex color code (e.g. `#ffffff`).
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                rtclr: { value: rtclr },
+
+                /**
+                 * Language-specific route designator.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                rtdd: { value: rtdd },
+
+                /**
+                 * Name of the data feed the route comes from, or `null` if
+                 * not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                rtpidatafeed: { value: rtpidatafeed || null }
+            }
+        );
+    }
+
+    /**
+     * Converts the route into a plain object, e.g. for `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the route's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the route into a human-readable string representation.
+     *
+     * @returns {string} A string representing the route.
+     */
+    toString() {
+        return `${this.rtdd} - ${this.rtnm}`;
+    }
+}
+
+Object.freeze(Route);
+module.exports = Route;
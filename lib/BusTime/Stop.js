@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Module for representing BusTime stops.
+ *
+ * @module BusTime/Stop
+ */
+
+/**
+ * The stop's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze([
+    'stpid', 'stpnm', 'lat', 'lon', 'dtradd', 'dtrrem', 'gtfsseq', 'ada'
+]);
+
+/**
+ * Represents a stop returned from the BusTime API.
+ *
+ * @alias module:BusTime/Stop
+ */
+class Stop {
+    /**
+     * Initializes the stop with data returned from the BusTime API.
+     *
+     * @param {Object} stop - The stop data.
+     */
+    constructor(stop) {
+        const {
+            stpid, stpnm, lat, lon, dtradd, dtrrem, gtfsseq, ada
+        } = stop;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Stop.prototype */
+            {
+                /**
+                 * Stop ID.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                stpid: { value: stpid },
+
+                /**
+                 * Display name for the stop.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                stpnm: { value: stpnm },
+
+                /**
+                 * Latitude of the stop, in decimal degrees (WGS 84).
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                lat: { value: Number.parseFloat(lat) },
+
+                /**
+                 * Longitude of the stop, in decimal degrees (WGS 84).
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                lon: { value: Number.parseFloat(lon) },
+
+                /**
+                 * IDs of the detours that add this stop to the route.
+                 *
+                 * @readonly
+                 * @type {string[]}
+                 */
+                dtradd: { value: Object.freeze((dtradd || []).slice()) },
+
+                /**
+                 * IDs of the detours that remove this stop from the route.
+                 *
+                 * @readonly
+                 * @type {string[]}
+                 */
+                dtrrem: { value: Object.freeze((dtrrem || []).slice()) },
+
+                /**
+                 * GTFS stop sequence number, or `null` if not specified.
+                 *
+                 * @readonly
+                 * @type {number?}
+                 */
+                gtfsseq: {
+                    value: gtfsseq ? Number.parseInt(gtfsseq, 10) : null
+                },
+
+                /**
+                 * `true` if the stop is accessible; `false` otherwise.
+                 *
+                 * @readonly
+                 * @type {boolean}
+                 */
+                ada: { value: String(ada) === 'true' }
+            }
+        );
+    }
+
+    /**
+     * Converts the stop into a plain object, e.g. for `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the stop's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the stop into a human-readable string representation.
+     *
+     * @returns {string} A string representing the stop.
+     */
+    toString() {
+        return `${this.stpnm} (#${this.stpid})`;
+    }
+}
+
+Object.freeze(Stop);
+module.exports = Stop;
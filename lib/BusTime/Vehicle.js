@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Module for representing BusTime vehicles.
+ *
+ * @module BusTime/Vehicle
+ */
+
+const BusTime = require('.');
+
+/**
+ * The vehicle's fields.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FIELDS = Object.freeze([
+    'vid', 'tmstmp', 'lat', 'lon', 'hdg', 'pid', 'rt', 'des', 'pdist', 'dly',
+    'spd', 'tablockid', 'tatripid', 'zone', 'psgld'
+]);
+
+/**
+ * Represents a vehicle's location returned from the BusTime API.
+ *
+ * @alias module:BusTime/Vehicle
+ */
+class Vehicle {
+    /**
+     * Initializes the vehicle with data returned from the BusTime API.
+     *
+     * @param {Object} vehicle - The vehicle data.
+     * @param {module:TimeZone?} [agencyZone] - The transit agency's time
+     * zone, which the timestamps are in. Defaults to the system time zone.
+     */
+    constructor(vehicle, agencyZone = null) {
+        const {
+            vid, tmstmp, lat, lon, hdg, pid, rt, des, pdist, dly, spd,
+            tablockid, tatripid, zone, psgld
+        } = vehicle;
+
+        Object.defineProperties(this,
+            /** @lends module:BusTime/Vehicle.prototype */
+            {
+                /**
+                 * Vehicle ID.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                vid: { value: vid },
+
+                /**
+                 * Time of the vehicle's last location update.
+                 *
+                 * @readonly
+                 * @type {Date}
+                 */
+                tmstmp: { value: BusTime.parseTimestamp(tmstmp, agencyZone) },
+
+                /**
+                 * Latitude of the vehicle, in decimal degrees (WGS 84).
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                lat: { value: Number.parseFloat(lat) },
+
+                /**
+                 * Longitude of the vehicle, in decimal degrees (WGS 84).
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                lon: { value: Number.parseFloat(lon) },
+
+                /**
+                 * Heading of the vehicle, in degrees clockwise from north.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                hdg: { value: Number.parseInt(hdg, 10) },
+
+                /**
+                 * ID of the pattern the vehicle is following; see
+                 * [`Pattern`]{@link module:BusTime/Pattern}.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                pid: { value: Number.parseInt(pid, 10) },
+
+                /**
+                 * Alphanumeric designator of the vehicle's route.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                rt: { value: rt },
+
+                /**
+                 * Name of the vehicle's final destination.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                des: { value: des },
+
+                /**
+                 * Linear distance in feet the vehicle has travelled into its
+                 * pattern.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                pdist: { value: Number.parseInt(pdist, 10) },
+
+                /**
+                 * `true` if the vehicle is delayed; `false` otherwise.
+                 *
+                 * @readonly
+                 * @type {boolean}
+                 */
+                dly: { value: String(dly) === 'true' },
+
+                /**
+                 * Speed of the vehicle in miles per hour, or `null` if not
+                 * specified.
+                 *
+                 * @readonly
+                 * @type {number?}
+                 */
+                spd: {
+                    value: spd === null || typeof spd === 'undefined'
+                        ? null
+                        : Number.parseFloat(spd)
+                },
+
+                /**
+                 * Transit authority internal block identifier for the
+                 * scheduled work being performed by the vehicle.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                tablockid: { value: tablockid },
+
+                /**
+                 * Transit authority internal trip identifier for the vehicle.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                tatripid: { value: tatripid },
+
+                /**
+                 * The vehicle's zone, or `null` if not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                zone: { value: zone || null },
+
+                /**
+                 * How full the vehicle is (e.g. `EMPTY`, `HALF_EMPTY`,
+                 * `FULL`), or `null` if not specified.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                psgld: { value: psgld || null }
+            }
+        );
+    }
+
+    /**
+     * Converts the vehicle into a plain object, e.g. for `JSON.stringify()`.
+     *
+     * @returns {Object} An object with the vehicle's fields.
+     */
+    toJSON() {
+        const obj = {};
+        FIELDS.forEach(field => {
+            obj[field] = this[field];
+        });
+
+        return obj;
+    }
+
+    /**
+     * Converts the vehicle into a human-readable string representation.
+     *
+     * @returns {string} A string representing the vehicle.
+     */
+    toString() {
+        const { rt, vid, des, lat, lon } = this;
+        return `${rt} (#${vid}) - ${des}: ${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+    }
+}
+
+Object.freeze(Vehicle);
+module.exports = Vehicle;
@@ -7,6 +7,282 @@
  */
 
 const http = require('http');
+const https = require('https');
+
+const BusTimeError = require('./BusTimeError');
+
+/**
+ * Default request options; see `BusTime.request()`.
+ *
+ * @private
+ * @readonly
+ * @type {Object}
+ */
+const REQUEST_DEFAULTS = Object.freeze({
+    connectTimeout: 5,
+    readTimeout: 10,
+    retries: 2,
+    backoff: 0.5,
+    maxBackoff: 10
+});
+
+/**
+ * Error codes of network failures worth retrying.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const TRANSIENT_CODES = Object.freeze([
+    'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN',
+    'EHOSTUNREACH', 'ENETUNREACH'
+]);
+
+/**
+ * Error with which cancelled requests reject.
+ *
+ * @private
+ */
+class CancelError extends Error {
+    /**
+     * Initializes the error.
+     */
+    constructor() {
+        super('Request cancelled');
+        this.name = 'CancelError';
+    }
+}
+
+/**
+ * Error for responses with a bad status.
+ *
+ * @private
+ */
+class StatusError extends Error {
+    /**
+     * Initializes the error.
+     *
+     * @param {number} statusCode - The response status.
+     */
+    constructor(statusCode) {
+        super(`Bad response status: ${statusCode}`);
+        this.name = 'StatusError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Creates a timeout error.
+ *
+ * @private
+ * @param {string} what - What timed out.
+ * @param {number} timeout - The timeout, in seconds.
+ * @returns {Error} The error, with code `ETIMEDOUT`.
+ */
+function timeoutError(what, timeout) {
+    const err = new Error(`${what} timed out after ${timeout}s`);
+    err.code = 'ETIMEDOUT';
+    return err;
+}
+
+/**
+ * Checks if a failed request is worth retrying.
+ *
+ * @private
+ * @param {Error} err - The error.
+ * @returns {boolean} `true` for network failures, timeouts, server errors
+ * and rate limiting; `false` otherwise.
+ */
+function isTransient(err) {
+    if (err instanceof StatusError) {
+        return err.statusCode >= 500 || err.statusCode === 429;
+    }
+
+    return TRANSIENT_CODES.includes(err.code);
+}
+
+/**
+ * Calls the function when the canceller emits `cancel`.
+ *
+ * @private
+ * @param {EventEmitter?} canceller - The canceller, if any.
+ * @param {Function} callback - The function.
+ * @returns {Function} Stops listening for the canceller.
+ */
+function listenForCancel(canceller, callback) {
+    if (!canceller) {
+        return () => null;
+    }
+
+    canceller.once('cancel', callback);
+    return () => canceller.removeListener('cancel', callback);
+}
+
+/**
+ * Waits for the given time, unless cancelled.
+ *
+ * @private
+ * @param {number} ms - The time, in milliseconds.
+ * @param {EventEmitter?} canceller - Cancels the wait when it emits
+ * `cancel`.
+ * @returns {Promise} Resolves after the wait, or rejects with a
+ * `CancelError` if cancelled.
+ */
+function delay(ms, canceller) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        const stopListening = listenForCancel(canceller, () => {
+            clearTimeout(timer);
+            reject(new CancelError());
+        });
+        timer = setTimeout(() => {
+            stopListening();
+            resolve();
+        }, ms);
+    });
+}
+
+/**
+ * Reads a JSON response.
+ *
+ * @private
+ * @param {http.IncomingMessage} res - The response.
+ * @returns {Promise} Resolves with the parsed response, or rejects with an
+ * error if the response is not JSON with status 200.
+ */
+function readJSON(res) {
+    return new Promise((resolve, reject) => {
+        const { statusCode, headers } = res;
+        const contentType = headers['content-type'];
+
+        let err = null;
+        if (statusCode !== 200) {
+            err = new StatusError(statusCode);
+        } else if (!/^application\/json/.test(contentType)) {
+            err = new Error(`Bad Content-Type: ${contentType}`);
+        }
+
+        if (err) {
+            res.resume();   // avoid memory leaks
+            reject(err);
+            return;
+        }
+
+        res.setEncoding('utf-8');
+        let body = '';
+        res.on('data', chunk => {
+            body += chunk;
+        });
+        res.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (e) {
+                reject(e);
+            }
+        });
+        res.on('aborted', () => reject(new Error('Response aborted')));
+    });
+}
+
+/**
+ * Requests the given URL once and reads the JSON response.
+ *
+ * @private
+ * @param {URL} url - The URL to request, over HTTP or HTTPS.
+ * @param {Object} opts - Request options; see `BusTime.request()`.
+ * @returns {Promise} Resolves with the parsed response, or rejects with an
+ * error.
+ */
+function get(url, opts) {
+    const { connectTimeout, readTimeout, canceller } = opts;
+    const { get: httpGet } = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = httpGet(url);
+        const stopListening = listenForCancel(canceller, () => {
+            fail(new CancelError());
+        });
+
+        /**
+         * Abandons the request.
+         *
+         * @private
+         * @param {Error} err - The error to reject with.
+         */
+        function fail(err) {
+            stopListening();
+            req.destroy();
+            reject(err);
+        }
+
+        req.on('response', res => {
+            readJSON(res).then(data => {
+                stopListening();
+                resolve(data);
+            }, fail);
+        });
+        req.on('error', fail);
+        req.on('socket', socket => {
+            // Kept-alive sockets are reused already connected.
+            if (!socket.connecting) {
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                fail(timeoutError('Connection', connectTimeout));
+            }, connectTimeout * 1000);
+            const clear = () => clearTimeout(timer);
+            socket.once('connect', clear);
+            req.once('close', clear);
+        });
+        req.setTimeout(readTimeout * 1000, () => {
+            fail(timeoutError('Response', readTimeout));
+        });
+    });
+}
+
+/**
+ * Gets how long to wait before a retry: a random time up to the backoff,
+ * which doubles with each retry up to the maximum.
+ *
+ * @private
+ * @param {number} retry - The number of retries so far.
+ * @param {Object} opts - Request options; see `BusTime.request()`.
+ * @returns {number} The wait, in milliseconds.
+ */
+function retryDelay(retry, opts) {
+    const { backoff, maxBackoff } = opts;
+    return Math.random() * Math.min(backoff * 2 ** retry, maxBackoff) * 1000;
+}
+
+/**
+ * Requests the given URL and reads the JSON response, retrying transient
+ * failures.
+ *
+ * @private
+ * @param {URL} url - The URL to request, over HTTP or HTTPS.
+ * @param {Object} opts - Request options; see `BusTime.request()`.
+ * @returns {Promise} Resolves with the parsed response, or rejects with the
+ * last error.
+ */
+async function getWithRetries(url, opts) {
+    const { retries, canceller, onRetry } = opts;
+    for (let retry = 0; ; retry++) {
+        try {
+            return await get(url, opts);
+        } catch (err) {
+            if (retry >= retries || !isTransient(err)) {
+                throw err;
+            }
+
+            const wait = retryDelay(retry, opts);
+            if (onRetry) {
+                onRetry(err, retry + 1, wait);
+            }
+            await delay(wait, canceller);
+        }
+    }
+}
 
 /**
  * The BusTime interface.
@@ -16,67 +292,94 @@ const http = require('http');
 class BusTime {
     /**
      * Requests the given URL and parses the JSON response according to the
-     * BusTime API.
+     * BusTime API; see [`get()`]{@link module:BusTime.get} and
+     * [`parseResponse()`]{@link module:BusTime.parseResponse}.
      *
-     * @param {URL} url - The URL to request.
+     * @param {URL} url - The URL to request, over HTTP or HTTPS.
+     * @param {Object} [opts] - Request options; see
+     * [`get()`]{@link module:BusTime.get}.
      * @returns {Promise} Resolves with an `Object` representing the parsed
      * response, or rejects with an error.
      */
-    static async request(url) {
-        const data = await new Promise((resolve, reject) => {
-            http.get(url, res => {
-                const { statusCode, headers } = res;
-                const contentType = headers['content-type'];
-
-                let err;
-                if (statusCode !== 200) {
-                    err = new Error(`Bad response status: ${statusCode}`);
-                } else if (!/^application\/json/.test(contentType)) {
-                    err = new Error(`Bad Content-Type: ${contentType}`);
-                }
-
-                if (err) {
-                    res.resume();   // avoid memory leaks
-                    reject(err);
-                }
-
-                res.setEncoding('utf-8');
-                let body = '';
-                res.on('data', chunk => {
-                    body += chunk;
-                });
-                res.on('end', () => {
-                    try {
-                        resolve(JSON.parse(body));
-                    } catch (e) {
-                        reject(e);
-                    }
-                });
-            }).on('error', reject);
-        });
+    static async request(url, opts = {}) {
+        return BusTime.parseResponse(await BusTime.get(url, opts));
+    }
+
+    /**
+     * Requests the given URL and parses its JSON body, without interpreting
+     * it.
+     *
+     * Network failures, timeouts, server errors and rate limiting are
+     * retried up to `retries` times, waiting a random time of up to
+     * `backoff` seconds before the first retry, doubling for each retry
+     * after that, but never more than `maxBackoff` seconds.
+     *
+     * @param {URL} url - The URL to request, over HTTP or HTTPS.
+     * @param {Object} [opts] - Request options.
+     * @param {number} [opts.connectTimeout=5] - How long to wait for a
+     * connection, in seconds.
+     * @param {number} [opts.readTimeout=10] - How long to wait for the
+     * response without receiving any data, in seconds.
+     * @param {number} [opts.retries=2] - How many times to retry.
+     * @param {number} [opts.backoff=0.5] - The longest wait before the first
+     * retry, in seconds.
+     * @param {number} [opts.maxBackoff=10] - The longest wait before any
+     * retry, in seconds.
+     * @param {EventEmitter} [opts.canceller] - Cancels the request when it
+     * emits `cancel`.
+     * @param {Function} [opts.onRetry] - Called before each retry with the
+     * error, the number of the retry, and how long it will wait in
+     * milliseconds.
+     * @returns {Promise} Resolves with the parsed body, or rejects with an
+     * error; with a [`CancelError`]{@link module:BusTime.CancelError} if
+     * cancelled.
+     */
+    static get(url, opts = {}) {
+        const options = Object.assign({}, REQUEST_DEFAULTS, opts);
+        return getWithRetries(url, options);
+    }
 
+    /**
+     * Interprets the parsed body of a BusTime API response.
+     *
+     * @param {Object} data - The parsed body.
+     * @throws {Error} The body must hold a `bustime-response`. If the
+     * response has no data and reports an error other than a lack of
+     * service, a [`BusTimeError`]{@link module:BusTime/BusTimeError} is
+     * thrown. Errors about some parameters alongside data for others are
+     * left in the response's `error`.
+     * @returns {Object} The response.
+     */
+    static parseResponse(data) {
         const response = data['bustime-response'];
         if (!response) {
             throw new Error(`Malformed response data: ${data}`);
         }
 
-        const { error } = response;
-        if (error) {
-            throw new Error(`Response contains error: ${error}`);
+        // Errors may come alongside data for the other parameters.
+        const hasData = Object.keys(response).some(key => key !== 'error');
+        const failure = BusTimeError.fromResponse(response).find(err => {
+            return !(err instanceof BusTimeError.NoServiceError);
+        });
+        if (failure && !hasData) {
+            throw failure;
         }
 
         return response;
     }
 
     /**
-     * Parses a timestamp generated by the BusTime API.
+     * Parses a timestamp generated by the BusTime API. The API gives local
+     * times in the transit agency's time zone, without an offset.
      *
      * @param {string} ts - The timestamp generated by the API.
+     * @param {module:TimeZone?} [zone] - The agency's time zone. Defaults to
+     * the system time zone.
      * @throws {Error} The timestamp must be of the form `YYYYMMDD HH:MM` or
      * `YYYYMMDD HH:MM:SS`.
      * @returns {Date} A `Date` representing the timestamp.
      */
-    static parseTimestamp(ts) {
+    static parseTimestamp(ts, zone = null) {
         const matches =
             // `YYYYMMDD HH:MM`, followed by optional `:SS`
             ts.match(/^(\d{4})(\d{2})(\d{2}) (\d{2}):(\d{2})(?::(\d{2}))?$/);
@@ -85,16 +388,16 @@ class BusTime {
             throw new Error(`Malformed timestamp: ${ts}`);
         }
 
-        return new Date(
-            matches[1],
-            matches[2],
-            matches[3],
-            matches[4],
-            matches[5],
-            matches[6],
-            matches[7] || 0,
-            0
-        );
+        const [year, month, day, hour, minute, second] = matches
+            .slice(1)
+            .map(part => Number.parseInt(part, 10) || 0);
+
+        if (!zone) {
+            return new Date(year, month - 1, day, hour, minute, second);
+        }
+
+        const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+        return new Date(zone.toTime(wall));
     }
 }
 
@@ -106,6 +409,14 @@ class BusTime {
  */
 BusTime.API_URL = 'http://truetime.portauthority.org/bustime/api/v3/';
 
+/**
+ * Error with which cancelled requests reject.
+ *
+ * @readonly
+ * @type {Function}
+ */
+BusTime.CancelError = CancelError;
+
 Object.freeze(BusTime);
 module.exports = BusTime;
 
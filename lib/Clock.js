@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Library for keeping time in step with the BusTime API's clock.
+ *
+ * @module Clock
+ */
+
+/**
+ * The number of milliseconds in a second.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MS_PER_S = 1000;
+
+/**
+ * The number of nanoseconds in a millisecond.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const NS_PER_MS = 1e6;
+
+/**
+ * Default time between synchronizations, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_SYNC = 60 * 60;
+
+/**
+ * How long to wait before trying again after a failed synchronization, in
+ * milliseconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const RETRY_DELAY = 60 * MS_PER_S;
+
+/**
+ * Gets the time on a monotonic clock, which is unaffected by changes to the
+ * system clock.
+ *
+ * @private
+ * @returns {number} The time, in milliseconds since an arbitrary point.
+ */
+function monotonic() {
+    const [s, ns] = process.hrtime();
+    return s * MS_PER_S + ns / NS_PER_MS;
+}
+
+/**
+ * Keeps the current time according to the BusTime API.
+ *
+ * Until the first synchronization, the system clock is used. Afterwards, time
+ * is counted on a monotonic clock from the API's time, so that it stays
+ * correct if the system clock drifts, is wrong at boot (e.g. a Raspberry Pi
+ * without a real-time clock), or jumps when NTP catches up.
+ *
+ * The API's time has a resolution of one second, so the clock may be off by
+ * up to half a second plus half the request's round trip.
+ *
+ * @alias module:Clock
+ */
+class Clock {
+    /**
+     * Initializes the clock.
+     *
+     * @param {Object|boolean} [cfg] - Clock configuration, or `false` to
+     * always use the system clock.
+     * @param {number} [cfg.sync=3600] - How often to synchronize with the API,
+     * in seconds. `0` never synchronizes.
+     */
+    constructor(cfg = {}) {
+        const { sync = DEFAULT_SYNC } = cfg || { sync: 0 };
+
+        Object.defineProperties(this,
+            /** @lends module:Clock.prototype */
+            {
+                /**
+                 * How often to synchronize with the API, in milliseconds, or
+                 * `0` to never synchronize.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                syncInterval: { value: sync * MS_PER_S },
+
+                /**
+                 * The API's time at the last synchronization, and the
+                 * monotonic time it was taken `at`, or `null` if never
+                 * synchronized.
+                 *
+                 * @private
+                 * @type {Object?}
+                 */
+                base: { value: null, writable: true },
+
+                /**
+                 * Monotonic time of the next synchronization.
+                 *
+                 * @private
+                 * @type {number}
+                 */
+                nextSync: { value: 0, writable: true }
+            }
+        );
+    }
+
+    /**
+     * Gets the current time.
+     *
+     * @returns {Date} The current time.
+     */
+    now() {
+        const { base } = this;
+        if (!base) {
+            return new Date();
+        }
+
+        return new Date(base.time + monotonic() - base.at);
+    }
+
+    /**
+     * How far the system clock is behind the API's, in milliseconds.
+     *
+     * @readonly
+     * @type {number}
+     */
+    get offset() {
+        return this.now().getTime() - Date.now();
+    }
+
+    /**
+     * Determines if the clock should be synchronized.
+     *
+     * @returns {boolean} `true` if the clock should be synchronized now;
+     * `false` otherwise.
+     */
+    isDue() {
+        return this.syncInterval > 0 && monotonic() >= this.nextSync;
+    }
+
+    /**
+     * Synchronizes the clock with the API's time. If it fails, the clock is
+     * due again after a minute.
+     *
+     * @param {module:BusTime/Client} client - The BusTime client.
+     * @returns {Promise} Resolves with the new `offset`, or rejects with an
+     * error.
+     */
+    async sync(client) {
+        const start = monotonic();
+        this.nextSync = start + Math.min(this.syncInterval, RETRY_DELAY);
+
+        const time = await client.getTime();
+        const at = monotonic();
+
+        // The API's time is truncated to the second; assume it was taken
+        // halfway through that second, halfway through the round trip.
+        this.base = {
+            time: time.getTime() + MS_PER_S / 2 + (at - start) / 2,
+            at
+        };
+        this.nextSync = at + this.syncInterval;
+
+        return this.offset;
+    }
+}
+
+Object.freeze(Clock);
+module.exports = Clock;
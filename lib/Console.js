@@ -0,0 +1,612 @@
+'use strict';
+
+/**
+ * Library for the interactive maintenance console.
+ *
+ * @module Console
+ */
+
+const readline = require('readline');
+
+/**
+ * The console's commands, mapping each name to its usage and description.
+ * Each command is run by the `Console` method of the same name.
+ *
+ * @private
+ * @readonly
+ * @type {Object<string, Object>}
+ */
+const COMMANDS = Object.freeze({
+    help: {
+        usage: 'help',
+        help: 'Lists the commands.'
+    },
+    list: {
+        usage: 'list',
+        help: 'Lists the modules and their flap sets.'
+    },
+    flaps: {
+        usage: 'flaps <module>',
+        help: 'Lists a module\'s flaps.'
+    },
+    set: {
+        usage: 'set <module> <flap>',
+        help: 'Moves a module to a flap. `<module> <flap>` also works.'
+    },
+    jog: {
+        usage: 'jog <module> <steps>',
+        help: 'Steps a module\'s stepper without changing its flap.'
+    },
+    calibrate: {
+        usage: 'calibrate <module> <flap> [step]',
+        help: 'Tells the console which flap a module is showing.'
+    },
+    test: {
+        usage: 'test <module>',
+        help: 'Rotates a module through one full turn.'
+    },
+    status: {
+        usage: 'status',
+        help: 'Shows the modules\' positions and the updater\'s state.'
+    },
+    watch: {
+        usage: 'watch [on|off]',
+        help: 'Toggles printing flap changes and updates as they happen.'
+    },
+    predictions: {
+        usage: 'predictions',
+        help: 'Shows the latest predictions.'
+    },
+    pause: {
+        usage: 'pause',
+        help: 'Pauses BusTime updates, leaving the flaps as they are.'
+    },
+    resume: {
+        usage: 'resume',
+        help: 'Resumes BusTime updates.'
+    },
+    refresh: {
+        usage: 'refresh',
+        help: 'Updates from BusTime now, even if paused.'
+    },
+    history: {
+        usage: 'history',
+        help: 'Lists the commands entered so far.'
+    },
+    quit: {
+        usage: 'quit',
+        help: 'Shuts down the server. `exit` also works.'
+    }
+});
+
+/**
+ * Commands whose first argument is a module.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const MODULE_COMMANDS = Object.freeze([
+    'flaps', 'set', 'jog', 'calibrate', 'test'
+]);
+
+/**
+ * Commands whose second argument is one of the module's flaps.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FLAP_COMMANDS = Object.freeze(['set', 'calibrate']);
+
+/**
+ * Command aliases.
+ *
+ * @private
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const ALIASES = Object.freeze({ exit: 'quit', '?': 'help' });
+
+/**
+ * Checks if the object has the given key as its own property.
+ *
+ * @private
+ * @param {Object} obj - The object.
+ * @param {string} key - The key.
+ * @returns {boolean} `true` if the object has the key; `false` otherwise.
+ */
+function has(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * Formats a date as a local time, or `-` if there is none.
+ *
+ * @private
+ * @param {Date?} date - The date.
+ * @returns {string} The formatted date.
+ */
+function formatTime(date) {
+    return date ? new Date(date).toLocaleTimeString() : '-';
+}
+
+/**
+ * Formats a module's description on one line.
+ *
+ * @private
+ * @param {Object} desc - The module's description, as returned by
+ * `Controller#describe()`.
+ * @returns {string} The formatted description.
+ */
+function formatModule({ index, name, currentFlap, step, totalSteps }) {
+    return `${index} ${name}: "${currentFlap}" at step ${step}/${totalSteps}`;
+}
+
+/**
+ * Formats a prediction on one line.
+ *
+ * @private
+ * @param {Object} desc - The prediction's description, as returned by
+ * `Updater#describePredictions()`.
+ * @returns {string} The formatted prediction.
+ */
+function formatPrediction({ rt, rtdir, des, countdown }) {
+    return `${rt} ${rtdir} to ${des}: ${countdown} min`;
+}
+
+/**
+ * Represents the interactive maintenance console, for controlling the
+ * modules and the BusTime updater by hand.
+ *
+ * @alias module:Console
+ */
+class Console {
+    /**
+     * Initializes the console and starts reading commands.
+     *
+     * @param {Object} ctx - The server context.
+     * @param {ReadableStream} [input=process.stdin] - Where to read commands
+     * from.
+     * @param {WritableStream} [output=process.stdout] - Where to write
+     * results to.
+     */
+    constructor(ctx, input = process.stdin, output = process.stdout) {
+        const rl = readline.createInterface({
+            input,
+            output,
+            completer: line => this.complete(line),
+            terminal: Boolean(output.isTTY)
+        });
+
+        Object.defineProperties(this,
+            /** @lends module:Console.prototype */
+            {
+                /**
+                 * The server context.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object}
+                 */
+                ctx: { value: ctx },
+
+                /**
+                 * Where to write results to.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {WritableStream}
+                 */
+                output: { value: output },
+
+                /**
+                 * The readline interface.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {readline.Interface}
+                 */
+                rl: { value: rl },
+
+                /**
+                 * The lines entered so far, oldest first.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {string[]}
+                 */
+                lines: { value: [] },
+
+                /**
+                 * The latest command to be queued.
+                 *
+                 * @private
+                 * @type {Promise}
+                 */
+                latestCommand: { value: Promise.resolve(), writable: true },
+
+                /**
+                 * Removes the `watch` listeners, if watching.
+                 *
+                 * @private
+                 * @type {Function?}
+                 */
+                unwatch: { value: null, writable: true }
+            }
+        );
+
+        // Lines are run one at a time, in order, even if pasted all at once.
+        rl.on('line', line => {
+            this.latestCommand = this.latestCommand.then(() => this.run(line));
+        });
+
+        // On a terminal, readline takes Ctrl+C instead of the process.
+        rl.on('SIGINT', () => ctx.shutdown('SIGINT'));
+        rl.on('close', () => this.detach());
+        rl.prompt();
+    }
+
+    /**
+     * Stops watching once the input ends. The server keeps running, and
+     * signals reach it directly again.
+     *
+     * @private
+     */
+    detach() {
+        if (this.unwatch) {
+            this.unwatch();
+        }
+
+        this.print('Console closed; the server keeps running');
+    }
+
+    /**
+     * Writes a line of output.
+     *
+     * @private
+     * @param {string} [text=''] - The text.
+     */
+    print(text = '') {
+        this.output.write(`${text}\n`);
+    }
+
+    /**
+     * Parses and runs a line, printing any error.
+     *
+     * @private
+     * @param {string} line - The line.
+     */
+    async run(line) {
+        const words = line.trim().split(/\s+/).filter(word => word);
+        if (words.length) {
+            this.lines.push(line.trim());
+        }
+
+        try {
+            await this.runCommand(words);
+        } catch (err) {
+            this.print(`'${line.trim()}' failed: ${err.message}`);
+        }
+
+        if (this.ctx.controller.accepting) {
+            this.rl.prompt();
+        }
+    }
+
+    /**
+     * Runs a command.
+     *
+     * @private
+     * @param {string[]} words - The command name and its arguments.
+     * @throws {Error} The command must exist, and the server must be
+     * accepting commands.
+     * @returns {Promise} Resolves when the command has finished.
+     */
+    runCommand(words) {
+        if (!words.length) {
+            return Promise.resolve();
+        }
+
+        const [word, ...args] = words;
+        let name = has(ALIASES, word) ? ALIASES[word] : word;
+        if (!has(COMMANDS, name)) {
+            if (words.length !== 2) {
+                throw new Error(`Unknown command "${word}"; try "help"`);
+            }
+
+            // `<module> <flap>`, as accepted by the original console.
+            name = 'set';
+            args.unshift(word);
+        }
+
+        if (name !== 'quit' && !this.ctx.controller.accepting) {
+            throw new Error('Shutting down; command ignored');
+        }
+
+        return Promise.resolve(this[name](...args));
+    }
+
+    /**
+     * Completes the current line, for tab completion.
+     *
+     * @private
+     * @param {string} line - The line so far.
+     * @returns {Array} The completions, and the word they complete.
+     */
+    complete(line) {
+        const words = line.trimLeft().split(/\s+/);
+        const word = words.pop();
+        const [name] = words;
+
+        let candidates = [];
+        if (!words.length) {
+            candidates = Object.keys(COMMANDS);
+        } else if (words.length === 1 && MODULE_COMMANDS.includes(name)) {
+            candidates = this.ctx.modules.map(module => module.name);
+        } else if (words.length === 2 && FLAP_COMMANDS.includes(name)) {
+            candidates = this.flapsOf(words[1]);
+        } else if (words.length === 1) {
+            candidates = this.flapsOf(name);
+        }
+
+        const hits = candidates.filter(c => c.startsWith(word));
+        return [hits.length ? hits : candidates, word];
+    }
+
+    /**
+     * Gets a module's flaps, for tab completion.
+     *
+     * @private
+     * @param {string} ref - The module's name or index.
+     * @returns {string[]} The flaps, or none if the module doesn't exist.
+     */
+    flapsOf(ref) {
+        try {
+            return this.ctx.controller.describe(ref).flaps;
+        } catch (err) {
+            return [];
+        }
+    }
+
+    /**
+     * Lists the commands.
+     */
+    help() {
+        Object.keys(COMMANDS).forEach(name => {
+            const { usage, help } = COMMANDS[name];
+            this.print(`${usage.padEnd(34)}${help}`);
+        });
+    }
+
+    /**
+     * Lists the modules and their flap sets.
+     */
+    list() {
+        this.ctx.modules.forEach(({ name, flaps, flapSet }, i) => {
+            const set = flapSet === null ? '' : ` (${flapSet})`;
+            this.print(`${i} ${name}: ${flaps.length} flaps${set}`);
+        });
+    }
+
+    /**
+     * Lists a module's flaps.
+     *
+     * @param {string} ref - The module's name or index.
+     */
+    flaps(ref) {
+        const { flaps, currentFlap } = this.ctx.controller.describe(ref);
+        this.print(flaps.map(flap => {
+            return flap === currentFlap ? `[${flap}]` : flap;
+        }).join(' '));
+    }
+
+    /**
+     * Moves a module to a flap.
+     *
+     * @param {string} ref - The module's name or index.
+     * @param {string} flap - The flap.
+     */
+    async set(ref, flap = null) {
+        if (flap === null) {
+            throw new Error(`Usage: ${COMMANDS.set.usage}`);
+        }
+
+        this.print(formatModule(await this.ctx.controller.setFlap(ref, flap)));
+    }
+
+    /**
+     * Steps a module's stepper without changing its flap.
+     *
+     * @param {string} ref - The module's name or index.
+     * @param {string} steps - The number of steps; negative to step
+     * backwards.
+     */
+    async jog(ref, steps) {
+        if (!/^-?\d+$/.test(steps)) {
+            throw new Error(`Usage: ${COMMANDS.jog.usage}`);
+        }
+
+        const desc = await this.ctx.controller.jog(ref, Number(steps));
+        this.print(formatModule(desc));
+    }
+
+    /**
+     * Tells the console which flap a module is showing, without moving it.
+     *
+     * @param {string} ref - The module's name or index.
+     * @param {string} flap - The flap currently displayed.
+     * @param {string} [step] - The stepper's current position. Defaults to
+     * the position at which `flap` is displayed.
+     */
+    calibrate(ref, flap = null, step = null) {
+        if (flap === null || !/^(\d+)?$/.test(step || '')) {
+            throw new Error(`Usage: ${COMMANDS.calibrate.usage}`);
+        }
+
+        const desc = this.ctx.controller.calibrate(
+            ref, flap, step === null ? null : Number(step)
+        );
+        this.print(formatModule(desc));
+    }
+
+    /**
+     * Rotates a module through one full turn. It should end up on the same
+     * flap; if not, it is missing steps.
+     *
+     * @param {string} ref - The module's name or index.
+     */
+    async test(ref) {
+        const { controller } = this.ctx;
+        const before = controller.describe(ref);
+        this.print(`Rotating ${before.name} once; watch for missed steps...`);
+
+        const after = await controller.rotate(ref);
+        this.print(formatModule(after));
+    }
+
+    /**
+     * Shows the modules' positions and the BusTime updater's state.
+     */
+    status() {
+        const { controller, busTime } = this.ctx;
+        controller.list().forEach(desc => this.print(formatModule(desc)));
+
+        const { paused, next, lastSuccess, lastError } = busTime;
+        let state = 'running';
+        if (paused) {
+            state = 'paused';
+        } else if (next) {
+            const when = formatTime(next.time);
+            state = next.sleeping ? `sleeping until ${when}` : `next ${when}`;
+        }
+
+        const success = formatTime(lastSuccess);
+        this.print(`Updates: ${state}; last success ${success}`);
+        if (busTime.pages.length > 1 && busTime.page) {
+            this.print(`Page: ${busTime.page.name}`);
+        }
+        if (lastError) {
+            const time = formatTime(busTime.lastErrorTime);
+            this.print(`Last error (${time}): ${lastError.message}`);
+        }
+    }
+
+    /**
+     * Toggles printing flap changes and updates as they happen.
+     *
+     * @param {string} [toggle] - `on` or `off`. Defaults to the opposite of
+     * the current state.
+     */
+    watch(toggle = null) {
+        const on = toggle === null ? !this.unwatch : toggle === 'on';
+        if (!on) {
+            if (this.unwatch) {
+                this.unwatch();
+            }
+
+            this.print('Not watching');
+            return;
+        }
+
+        if (!this.unwatch) {
+            this.unwatch = this.listen();
+        }
+
+        this.print('Watching; "watch off" to stop');
+    }
+
+    /**
+     * Adds the `watch` listeners.
+     *
+     * @private
+     * @returns {Function} Removes the listeners.
+     */
+    listen() {
+        const { modules, splitFlaps, busTime } = this.ctx;
+        const listeners = [];
+
+        /**
+         * Adds a listener, to be removed later.
+         *
+         * @param {EventEmitter} emitter - The emitter.
+         * @param {string} event - The event.
+         * @param {Function} listener - The listener.
+         */
+        const on = (emitter, event, listener) => {
+            emitter.on(event, listener);
+            listeners.push(() => emitter.removeListener(event, listener));
+        };
+
+        splitFlaps.forEach((splitFlap, i) => {
+            on(splitFlap, 'flap', flap => {
+                this.print(`${modules[i].name} -> "${flap}"`);
+            });
+        });
+        on(busTime, 'predictions', prds => {
+            this.print(`${prds.length} predictions`);
+        });
+        on(busTime, 'failure', err => {
+            this.print(`Update failed: ${err.message}`);
+        });
+
+        return () => {
+            listeners.forEach(remove => remove());
+            this.unwatch = null;
+        };
+    }
+
+    /**
+     * Shows the latest predictions.
+     */
+    predictions() {
+        const { busTime } = this.ctx;
+        const predictions = busTime.describePredictions(busTime.clock.now());
+        if (!predictions.length) {
+            this.print('No predictions');
+        }
+
+        predictions.forEach(prd => this.print(formatPrediction(prd)));
+    }
+
+    /**
+     * Pauses BusTime updates.
+     */
+    pause() {
+        this.ctx.busTime.pause();
+        this.print('Updates paused; "resume" to resume');
+    }
+
+    /**
+     * Resumes BusTime updates, updating immediately.
+     */
+    async resume() {
+        this.print('Updates resumed');
+        await this.ctx.busTime.resume();
+    }
+
+    /**
+     * Updates from BusTime now.
+     */
+    async refresh() {
+        await this.ctx.busTime.refresh();
+        this.predictions();
+    }
+
+    /**
+     * Lists the commands entered so far.
+     */
+    history() {
+        this.lines.forEach((line, i) => this.print(`${i + 1}  ${line}`));
+    }
+
+    /**
+     * Shuts down the server.
+     */
+    quit() {
+        this.ctx.shutdown('quit');
+    }
+}
+
+Object.freeze(Console);
+module.exports = Console;
@@ -0,0 +1,412 @@
+'use strict';
+
+/**
+ * Library for controlling a running server over a Unix domain socket.
+ *
+ * Clients send one JSON request per line, each with a `command` and its
+ * parameters (and optionally an `id`, which is echoed back), and receive one
+ * JSON response per line: either `{ "id", "ok": true, "result" }` or
+ * `{ "id", "ok": false, "error": { "code", "message" } }`.
+ *
+ * @module ControlServer
+ */
+
+const fs = require('fs');
+const net = require('net');
+
+const Stepper = require('./Stepper');
+
+/**
+ * Checks if the object has the given key as its own property.
+ *
+ * @private
+ * @param {Object} obj - The object.
+ * @param {string} key - The key.
+ * @returns {boolean} `true` if the object has the key; `false` otherwise.
+ */
+function has(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * Error with a `code`, for reporting bad requests.
+ *
+ * @private
+ */
+class RequestError extends Error {
+    /**
+     * Initializes the error.
+     *
+     * @param {string} code - The error code.
+     * @param {string} message - The error message.
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'RequestError';
+        this.code = code;
+    }
+}
+
+/**
+ * Parses an integer parameter, which may be given as a number or a string.
+ *
+ * @private
+ * @param {number|string?} value - The parameter.
+ * @returns {number?} The integer, `NaN` if malformed, or `null` if not given.
+ */
+function parseInteger(value) {
+    if (value === null || typeof value === 'undefined') {
+        return null;
+    }
+
+    return /^-?\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Formats the request budget's state.
+ *
+ * @private
+ * @param {module:RequestBudget?} budget - The request budget, if any.
+ * @param {Date} date - The current date.
+ * @returns {Object?} The daily `limit`, and the number of requests `used`
+ * and `remaining` today, or `null` if there is no budget.
+ */
+function formatBudget(budget, date) {
+    if (!budget) {
+        return null;
+    }
+
+    return {
+        limit: budget.limit,
+        used: budget.used(date),
+        remaining: budget.remaining(date)
+    };
+}
+
+/**
+ * Formats the BusTime updater's state.
+ *
+ * @private
+ * @param {EventEmitter} busTime - The BusTime updater.
+ * @returns {Object} Whether updates are `paused`, the `page` shown, the
+ * `next` update, the times of the `lastSuccess` and `lastError`, and the
+ * request `budget`.
+ */
+function formatUpdater(busTime) {
+    const {
+        paused, page, next, lastSuccess, lastError, lastErrorTime
+    } = busTime;
+    return {
+        paused,
+        page,
+        next,
+        lastSuccess,
+        lastError: lastError && {
+            message: lastError.message,
+            code: lastError.code || null,
+            time: lastErrorTime
+        },
+        budget: formatBudget(busTime.budget, busTime.clock.now())
+    };
+}
+
+/**
+ * The commands, mapping each name to its parameter names, those that are
+ * `optional`, and a function running it with the server context and
+ * request.
+ *
+ * @private
+ * @readonly
+ * @type {Object<string, Object>}
+ */
+const COMMANDS = Object.freeze({
+    list: {
+        params: [],
+        run: ({ controller }) => controller.list()
+    },
+    describe: {
+        params: ['module'],
+        run: ({ controller }, req) => controller.describe(req.module)
+    },
+    set: {
+        params: ['module', 'flap'],
+        run: ({ controller }, req) => controller.setFlap(req.module, req.flap)
+    },
+    jog: {
+        params: ['module', 'steps'],
+        run: ({ controller }, req) => {
+            return controller.jog(req.module, parseInteger(req.steps));
+        }
+    },
+    calibrate: {
+        params: ['module', 'flap', 'step'],
+        optional: ['step'],
+        run: ({ controller }, req) => {
+            const { module, flap, step } = req;
+            return controller.calibrate(module, flap, parseInteger(step));
+        }
+    },
+    test: {
+        params: ['module'],
+        run: ({ controller }, req) => controller.rotate(req.module)
+    },
+    status: {
+        params: [],
+        run: ({ controller, busTime }) => ({
+            modules: controller.list(),
+            updater: formatUpdater(busTime)
+        })
+    },
+    predictions: {
+        params: [],
+        run: ({ busTime }) => {
+            return busTime.describePredictions(busTime.clock.now());
+        }
+    },
+    pause: {
+        params: [],
+        run: ({ busTime }) => {
+            busTime.pause();
+            return formatUpdater(busTime);
+        }
+    },
+    resume: {
+        params: [],
+        run: async({ busTime }) => {
+            await busTime.resume();
+            return formatUpdater(busTime);
+        }
+    },
+    refresh: {
+        params: [],
+        run: async({ busTime }) => {
+            await busTime.refresh();
+            return busTime.describePredictions(busTime.clock.now());
+        }
+    }
+});
+
+/**
+ * Represents the control socket of a running server.
+ *
+ * @alias module:ControlServer
+ */
+class ControlServer {
+    /**
+     * Initializes the control server and starts listening.
+     *
+     * @param {Object} ctx - The server context, with its `controller` and
+     * `busTime` updater.
+     * @param {string} file - Path to the socket. A stale socket left behind
+     * by a server that has exited is replaced.
+     */
+    constructor(ctx, file) {
+        const server = net.createServer(socket => this.accept(socket));
+
+        Object.defineProperties(this,
+            /** @lends module:ControlServer.prototype */
+            {
+                /**
+                 * The server context.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object}
+                 */
+                ctx: { value: ctx },
+
+                /**
+                 * Path to the socket.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                file: { value: file },
+
+                /**
+                 * The socket server.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {net.Server}
+                 */
+                server: { value: server }
+            }
+        );
+
+        server.on('error', err => {
+            if (err.code !== 'EADDRINUSE') {
+                console.error('Control socket failed', err);
+                return;
+            }
+
+            this.replaceStale();
+        });
+        server.listen(file);
+    }
+
+    /**
+     * Replaces the socket file if no server is listening on it.
+     *
+     * @private
+     */
+    replaceStale() {
+        const { file, server } = this;
+        const probe = net.connect(file, () => {
+            probe.end();
+            console.error(`Control socket ${file} is in use; not listening`);
+        });
+
+        probe.on('error', err => {
+            if (err.code !== 'ECONNREFUSED') {
+                console.error('Control socket failed', err);
+                return;
+            }
+
+            try {
+                fs.unlinkSync(file);
+            } catch (unlinkErr) {
+                console.error(`Removing stale control socket ${file} failed`,
+                    unlinkErr);
+                return;
+            }
+            server.listen(file);
+        });
+    }
+
+    /**
+     * Stops listening and removes the socket file.
+     */
+    close() {
+        this.server.close();
+    }
+
+    /**
+     * Handles a client connection.
+     *
+     * @private
+     * @param {net.Socket} socket - The client connection.
+     */
+    accept(socket) {
+        socket.setEncoding('utf-8');
+        socket.on('error', err => {
+            console.error('Control connection failed', err);
+        });
+
+        let buffer = '';
+        let latestResponse = Promise.resolve();
+        socket.on('data', data => {
+            const lines = (buffer + data).split('\n');
+            buffer = lines.pop();
+
+            // Responses are sent in the order requests were received.
+            lines.filter(line => line.trim()).forEach(line => {
+                const response = this.handle(line);
+                latestResponse = latestResponse.then(async() => {
+                    const res = await response;
+                    if (!socket.destroyed) {
+                        socket.write(`${JSON.stringify(res)}\n`);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Handles a request.
+     *
+     * @private
+     * @param {string} line - The request, as JSON.
+     * @returns {Promise} Resolves with the response.
+     */
+    async handle(line) {
+        let id = null;
+        try {
+            const req = JSON.parse(line);
+            if (!req || typeof req !== 'object') {
+                throw new SyntaxError('Request must be an object');
+            }
+
+            id = has(req, 'id') ? req.id : null;
+            const result = await this.run(req);
+            return { id, ok: true, result };
+        } catch (err) {
+            let code = err.code || ControlServer.ERRORS.INTERNAL;
+            if (err instanceof SyntaxError) {
+                code = ControlServer.ERRORS.BAD_REQUEST;
+            } else if (err instanceof Stepper.CancelError) {
+                code = ControlServer.ERRORS.CANCELED;
+            }
+
+            const error = { code, message: err.message };
+            return { id, ok: false, error };
+        }
+    }
+
+    /**
+     * Runs a request's command.
+     *
+     * @private
+     * @param {Object} req - The request.
+     * @throws {Error} The command must exist, and its parameters must be
+     * given.
+     * @returns {Promise} Resolves with the command's result.
+     */
+    run(req) {
+        const { command } = req;
+        if (!has(COMMANDS, command)) {
+            throw new RequestError(
+                ControlServer.ERRORS.NO_COMMAND,
+                `Unknown command "${command}"`
+            );
+        }
+
+        const { params, optional = [], run } = COMMANDS[command];
+        const missing = params.find(param => {
+            const value = req[param];
+            return !optional.includes(param)
+                && (value === null || typeof value === 'undefined');
+        });
+        if (missing) {
+            throw new RequestError(
+                ControlServer.ERRORS.BAD_REQUEST,
+                `Missing parameter "${missing}"`
+            );
+        }
+
+        return run(this.ctx, req);
+    }
+}
+
+/**
+ * Error codes, besides those of [`Controller`]{@link module:Controller}.
+ *
+ * @readonly
+ * @enum {string}
+ */
+ControlServer.ERRORS = {
+    /** The request is not a JSON object, or lacks a parameter. */
+    BAD_REQUEST: 'EBADREQUEST',
+    /** No such command. */
+    NO_COMMAND: 'ENOCOMMAND',
+    /** The move was cancelled, e.g. by shutting down. */
+    CANCELED: 'ECANCELED',
+    /** The command failed unexpectedly. */
+    INTERNAL: 'EINTERNAL'
+};
+Object.freeze(ControlServer.ERRORS);
+
+/**
+ * The commands' parameter names, in the order given on the command line.
+ *
+ * @readonly
+ * @type {Object<string, string[]>}
+ */
+ControlServer.COMMANDS = {};
+Object.keys(COMMANDS).forEach(name => {
+    ControlServer.COMMANDS[name] = COMMANDS[name].params;
+});
+Object.freeze(ControlServer.COMMANDS);
+
+Object.freeze(ControlServer);
+module.exports = ControlServer;
@@ -0,0 +1,361 @@
+'use strict';
+
+/**
+ * Library for controlling the display's split-flap modules by hand.
+ *
+ * @module Controller
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Checks if the object has the given key as its own property.
+ *
+ * @private
+ * @param {Object} obj - The object.
+ * @param {string} key - The key.
+ * @returns {boolean} `true` if the object has the key; `false` otherwise.
+ */
+function has(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * The shortest time a jog may take, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MIN_JOG_DURATION = 0.1;
+
+/**
+ * Error thrown by controller operations.
+ *
+ * @private
+ */
+class ControlError extends Error {
+    /**
+     * Initializes the error.
+     *
+     * @param {string} code - The error code. One of `Controller.ERRORS`.
+     * @param {string} message - The error message.
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'ControlError';
+        this.code = code;
+    }
+}
+
+/**
+ * Controls the display's split-flap modules, looking them up by name or
+ * index.
+ *
+ * @alias module:Controller
+ */
+class Controller extends EventEmitter {
+    /**
+     * Initializes the controller.
+     *
+     * @param {Object[]} modules - The module descriptions, each with a `name`.
+     * @param {module:SplitFlap[]} splitFlaps - The modules' split-flap
+     * displays.
+     */
+    constructor(modules, splitFlaps) {
+        super();
+
+        const indices = {};
+        modules.forEach(({ name }, i) => {
+            indices[name] = i;
+        });
+        Object.freeze(indices);
+
+        Object.defineProperties(this,
+            /** @lends module:Controller.prototype */
+            {
+                /**
+                 * The module descriptions.
+                 *
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                modules: { value: modules },
+
+                /**
+                 * The modules' split-flap displays.
+                 *
+                 * @readonly
+                 * @type {module:SplitFlap[]}
+                 */
+                splitFlaps: { value: splitFlaps },
+
+                /**
+                 * Maps module names to indices.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object<string, number>}
+                 */
+                indices: { value: indices },
+
+                /**
+                 * `true` if the controller no longer accepts commands.
+                 *
+                 * @private
+                 * @type {boolean}
+                 */
+                closed: { value: false, writable: true }
+            }
+        );
+    }
+
+    /**
+     * `true` if the controller still accepts commands.
+     *
+     * @readonly
+     * @type {boolean}
+     */
+    get accepting() {
+        return !this.closed;
+    }
+
+    /**
+     * Stops accepting commands.
+     */
+    close() {
+        this.closed = true;
+    }
+
+    /**
+     * Looks up a module.
+     *
+     * @param {string|number} ref - The module's name or index.
+     * @throws {Error} The module must exist.
+     * @returns {number} The module's index.
+     */
+    find(ref) {
+        if (has(this.indices, ref)) {
+            return this.indices[ref];
+        }
+
+        if (typeof ref === 'number' || /^\d+$/.test(ref)) {
+            const index = Number(ref);
+            if (index in this.splitFlaps) {
+                return index;
+            }
+        }
+
+        throw new ControlError(
+            Controller.ERRORS.NO_MODULE, `Unknown module "${ref}"`
+        );
+    }
+
+    /**
+     * Describes a module's current state.
+     *
+     * @param {string|number} ref - The module's name or index.
+     * @throws {Error} The module must exist.
+     * @returns {Object} The module's `index`, `name`, `flaps`, `currentFlap`,
+     * `flapIndex`, stepper `step` and `totalSteps`.
+     */
+    describe(ref) {
+        const index = this.find(ref);
+        const splitFlap = this.splitFlaps[index];
+        const { currentFlap, flaps, flapIndices, stepper } = splitFlap;
+
+        return {
+            index,
+            name: this.modules[index].name,
+            flaps,
+            currentFlap,
+            flapIndex: flapIndices[currentFlap],
+            step: stepper.currentStep,
+            totalSteps: stepper.totalSteps
+        };
+    }
+
+    /**
+     * Describes every module's current state.
+     *
+     * @returns {Object[]} The descriptions, as returned by `describe()`.
+     */
+    list() {
+        return this.splitFlaps.map((splitFlap, i) => this.describe(i));
+    }
+
+    /**
+     * Checks that a command may be run on the given module and flap.
+     *
+     * @private
+     * @param {string|number} ref - The module's name or index.
+     * @param {string?} [flap] - The flap, if the command needs one.
+     * @throws {Error} The controller must be accepting commands, and the
+     * module and flap must exist.
+     * @returns {module:SplitFlap} The module's split-flap display.
+     */
+    check(ref, flap = null) {
+        if (this.closed) {
+            throw new ControlError(
+                Controller.ERRORS.CLOSED, 'Not accepting commands'
+            );
+        }
+
+        const splitFlap = this.splitFlaps[this.find(ref)];
+        if (flap !== null && !has(splitFlap.flapIndices, flap)) {
+            throw new ControlError(
+                Controller.ERRORS.NO_FLAP, `Unknown flap "${flap}"`
+            );
+        }
+
+        return splitFlap;
+    }
+
+    /**
+     * Moves a module to the given flap.
+     *
+     * @param {string|number} ref - The module's name or index.
+     * @param {string} flap - The flap to display.
+     * @returns {Promise} Resolves with the module's description once the flap
+     * is displayed, or rejects with an error.
+     */
+    async setFlap(ref, flap) {
+        const splitFlap = this.check(ref, flap);
+        await splitFlap.setFlap(flap);
+        return this.describe(ref);
+    }
+
+    /**
+     * Steps a module's stepper by a raw number of steps, e.g. to line up a
+     * flap by hand before recalibrating. The module's current flap is left
+     * unchanged.
+     *
+     * @emits module:Controller#step
+     *
+     * @param {string|number} ref - The module's name or index.
+     * @param {number} steps - The number of steps. A negative value steps
+     * backwards.
+     * @returns {Promise} Resolves with the module's description once the
+     * stepper stops, or rejects with an error.
+     */
+    async jog(ref, steps) {
+        const splitFlap = this.check(ref);
+        if (!Number.isInteger(steps)) {
+            throw new ControlError(
+                Controller.ERRORS.BAD_STEP, 'Steps must be an integer'
+            );
+        }
+
+        const { period, stepper } = splitFlap;
+        const duration = Math.abs(steps) / stepper.totalSteps * period;
+        await this.step(ref, steps, Math.max(MIN_JOG_DURATION, duration));
+        return this.describe(ref);
+    }
+
+    /**
+     * Rotates a module through one full turn, which should leave it showing
+     * the same flap, to check for missed steps.
+     *
+     * @emits module:Controller#step
+     *
+     * @param {string|number} ref - The module's name or index.
+     * @returns {Promise} Resolves with the module's description once the
+     * rotation finishes, or rejects with an error.
+     */
+    async rotate(ref) {
+        const splitFlap = this.check(ref);
+        const { period, stepper } = splitFlap;
+        await this.step(ref, stepper.totalSteps, period);
+        return this.describe(ref);
+    }
+
+    /**
+     * Steps a module's stepper outside of its split-flap display, once the
+     * display's earlier moves have finished.
+     *
+     * @private
+     * @emits module:Controller#step
+     *
+     * @param {string|number} ref - The module's name or index.
+     * @param {number} steps - The number of steps.
+     * @param {number} duration - How long stepping should take, in seconds.
+     * @throws {module:Stepper.CancelError} The stepping must not be
+     * cancelled.
+     */
+    async step(ref, steps, duration) {
+        const index = this.find(ref);
+        try {
+            const splitFlap = this.splitFlaps[index];
+            await splitFlap.queue(() => {
+                return splitFlap.stepper.step(steps, duration);
+            });
+        } finally {
+            this.emit('step', index);
+        }
+    }
+
+    /**
+     * Recalibrates a module's position without moving it.
+     *
+     * @param {string|number} ref - The module's name or index.
+     * @param {string} flap - The flap currently displayed.
+     * @param {number?} [step] - The stepper's current position. Defaults to
+     * the position at which `flap` is displayed.
+     * @throws {Error} The controller must be accepting commands, the module
+     * and flap must exist, and the step must be in range.
+     * @returns {Object} The module's description.
+     */
+    calibrate(ref, flap, step = null) {
+        const splitFlap = this.check(ref, flap);
+
+        const { totalSteps } = splitFlap.stepper;
+        if (step !== null
+            && !(Number.isInteger(step) && step >= 0 && step < totalSteps)) {
+            throw new ControlError(
+                Controller.ERRORS.BAD_STEP,
+                `Step must be an integer from 0 to ${totalSteps - 1}`
+            );
+        }
+
+        splitFlap.calibrate(flap, step);
+        return this.describe(ref);
+    }
+}
+
+/**
+ * Step event, emitted with a module's index whenever a jog or rotation
+ * stops, finished or not, leaving the stepper at a new position.
+ *
+ * @event module:Controller#step
+ * @type {number}
+ */
+
+/**
+ * Error codes.
+ *
+ * @readonly
+ * @enum {string}
+ */
+Controller.ERRORS = {
+    /** No such module. */
+    NO_MODULE: 'ENOMODULE',
+    /** No such flap on the module. */
+    NO_FLAP: 'ENOFLAP',
+    /** Stepper position out of range. */
+    BAD_STEP: 'EBADSTEP',
+    /** The controller is no longer accepting commands. */
+    CLOSED: 'ECLOSED'
+};
+Object.freeze(Controller.ERRORS);
+
+/**
+ * Error thrown by controller operations, with a `code` from
+ * `Controller.ERRORS`.
+ *
+ * @readonly
+ * @type {Function}
+ */
+Controller.ControlError = ControlError;
+
+Object.freeze(Controller);
+module.exports = Controller;
@@ -0,0 +1,418 @@
+'use strict';
+
+/**
+ * Library for collecting metrics in the [Prometheus text exposition
+ * format][format].
+ *
+ * [format]: https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * @module Metrics
+ */
+
+/**
+ * Default histogram buckets, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number[]}
+ */
+const DEFAULT_BUCKETS = Object.freeze([
+    0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+]);
+
+/**
+ * Escapes a label value.
+ *
+ * @private
+ * @param {*} value - The label value.
+ * @returns {string} The escaped value.
+ */
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels.
+ *
+ * @private
+ * @param {Object<string, *>} labels - The labels.
+ * @returns {string} The formatted labels, or the empty string if there are
+ * none.
+ */
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (!keys.length) {
+        return '';
+    }
+
+    const pairs = keys.map(key => `${key}="${escapeLabel(labels[key])}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Formats a sample value.
+ *
+ * @private
+ * @param {number} value - The value.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+
+    return String(value);
+}
+
+/**
+ * Represents a metric, with one series per set of label values.
+ *
+ * @private
+ */
+class Metric {
+    /**
+     * Initializes the metric.
+     *
+     * @param {string} name - The metric name.
+     * @param {string} help - The metric description.
+     * @param {string} type - The metric type.
+     */
+    constructor(name, help, type) {
+        Object.defineProperties(this, {
+            /**
+             * The metric name.
+             *
+             * @readonly
+             * @type {string}
+             */
+            name: { value: name },
+
+            /**
+             * The metric description.
+             *
+             * @readonly
+             * @type {string}
+             */
+            help: { value: help },
+
+            /**
+             * The metric type.
+             *
+             * @readonly
+             * @type {string}
+             */
+            type: { value: type },
+
+            /**
+             * Series, keyed by formatted labels.
+             *
+             * @readonly
+             * @type {Map<string, Object>}
+             */
+            series: { value: new Map() }
+        });
+    }
+
+    /**
+     * Gets the series for the given labels, creating it if necessary.
+     *
+     * @param {Object<string, *>} labels - The labels.
+     * @param {Function} init - Returns the initial value of a new series.
+     * @returns {Object} The series' `labels` and `value`.
+     */
+    get(labels, init) {
+        const key = formatLabels(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, value: init() });
+        }
+
+        return this.series.get(key);
+    }
+
+    /**
+     * Formats the metric's samples.
+     *
+     * @returns {string[]} The sample lines.
+     */
+    samples() {
+        return Array.from(this.series.values(), ({ labels, value }) => {
+            return `${this.name}${formatLabels(labels)} ${formatValue(value)}`;
+        });
+    }
+
+    /**
+     * Formats the metric.
+     *
+     * @returns {string} The formatted metric.
+     */
+    format() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`
+        ].concat(this.samples()).join('\n');
+    }
+}
+
+/**
+ * Represents a monotonically increasing counter.
+ *
+ * @private
+ */
+class Counter extends Metric {
+    /**
+     * Initializes the counter.
+     *
+     * @param {string} name - The metric name.
+     * @param {string} help - The metric description.
+     */
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    /**
+     * Increments the counter.
+     *
+     * @param {Object<string, *>} [labels={}] - The labels.
+     * @param {number} [value=1] - The amount to increment by.
+     */
+    inc(labels = {}, value = 1) {
+        this.get(labels, () => 0).value += value;
+    }
+
+    /**
+     * Sets the counter, e.g. from a count kept elsewhere.
+     *
+     * @param {Object<string, *>} labels - The labels.
+     * @param {number} value - The value.
+     */
+    set(labels, value) {
+        this.get(labels, () => 0).value = value;
+    }
+}
+
+/**
+ * Represents a value that can go up and down.
+ *
+ * @private
+ */
+class Gauge extends Metric {
+    /**
+     * Initializes the gauge.
+     *
+     * @param {string} name - The metric name.
+     * @param {string} help - The metric description.
+     */
+    constructor(name, help) {
+        super(name, help, 'gauge');
+    }
+
+    /**
+     * Sets the gauge.
+     *
+     * @param {Object<string, *>} labels - The labels.
+     * @param {number} value - The value.
+     */
+    set(labels, value) {
+        this.get(labels, () => 0).value = value;
+    }
+}
+
+/**
+ * Represents a distribution of observations.
+ *
+ * @private
+ */
+class Histogram extends Metric {
+    /**
+     * Initializes the histogram.
+     *
+     * @param {string} name - The metric name.
+     * @param {string} help - The metric description.
+     * @param {number[]} [buckets] - Bucket upper bounds, in increasing order.
+     */
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        super(name, help, 'histogram');
+        Object.defineProperty(this, 'buckets', {
+            value: Object.freeze(buckets.concat([Infinity]))
+        });
+    }
+
+    /**
+     * Observes a value.
+     *
+     * @param {Object<string, *>} labels - The labels.
+     * @param {number} value - The observed value.
+     */
+    observe(labels, value) {
+        const series = this.get(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        })).value;
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Formats the histogram's samples.
+     *
+     * @returns {string[]} The sample lines.
+     */
+    samples() {
+        const { name, buckets } = this;
+        const lines = [];
+        this.series.forEach(({ labels, value }) => {
+            buckets.forEach((le, i) => {
+                const bucketLabels = Object.assign({}, labels, {
+                    le: formatValue(le)
+                });
+                lines.push(
+                    `${name}_bucket${formatLabels(bucketLabels)} `
+                    + value.counts[i]
+                );
+            });
+
+            const formatted = formatLabels(labels);
+            lines.push(`${name}_sum${formatted} ${value.sum}`);
+            lines.push(`${name}_count${formatted} ${value.count}`);
+        });
+
+        return lines;
+    }
+}
+
+/**
+ * Represents a set of metrics.
+ *
+ * @alias module:Metrics
+ */
+class Metrics {
+    /**
+     * Initializes the metrics.
+     *
+     * @param {string} [prefix=''] - Prefix for every metric name.
+     */
+    constructor(prefix = '') {
+        Object.defineProperties(this,
+            /** @lends module:Metrics.prototype */
+            {
+                /**
+                 * Prefix for every metric name.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                prefix: { value: prefix },
+
+                /**
+                 * The metrics.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                metrics: { value: [] },
+
+                /**
+                 * Functions called before formatting the metrics.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Function[]}
+                 */
+                collectors: { value: [] }
+            }
+        );
+    }
+
+    /**
+     * Adds a metric.
+     *
+     * @private
+     * @param {Object} metric - The metric.
+     * @returns {Object} The metric.
+     */
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Adds a counter, with `inc(labels, value)` and `set(labels, value)`
+     * methods.
+     *
+     * @param {string} name - The metric name, without the prefix.
+     * @param {string} help - The metric description.
+     * @returns {Object} The counter.
+     */
+    counter(name, help) {
+        return this.add(new Counter(this.prefix + name, help));
+    }
+
+    /**
+     * Adds a gauge, with a `set(labels, value)` method.
+     *
+     * @param {string} name - The metric name, without the prefix.
+     * @param {string} help - The metric description.
+     * @returns {Object} The gauge.
+     */
+    gauge(name, help) {
+        return this.add(new Gauge(this.prefix + name, help));
+    }
+
+    /**
+     * Adds a histogram, with an `observe(labels, value)` method.
+     *
+     * @param {string} name - The metric name, without the prefix.
+     * @param {string} help - The metric description.
+     * @param {number[]} [buckets] - Bucket upper bounds, in increasing order.
+     * @returns {Object} The histogram.
+     */
+    histogram(name, help, buckets) {
+        return this.add(new Histogram(this.prefix + name, help, buckets));
+    }
+
+    /**
+     * Adds a function to call before formatting the metrics, e.g. to update
+     * gauges from the current state.
+     *
+     * @param {Function} collector - The function.
+     */
+    collect(collector) {
+        this.collectors.push(collector);
+    }
+
+    /**
+     * Formats the metrics in the text exposition format.
+     *
+     * @returns {string} The formatted metrics.
+     */
+    format() {
+        this.collectors.forEach(collector => collector());
+        return this.metrics.map(metric => metric.format()).join('\n') + '\n';
+    }
+}
+
+/**
+ * Content type of the text exposition format.
+ *
+ * @readonly
+ * @type {string}
+ */
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+Object.freeze(Metrics);
+module.exports = Metrics;
@@ -0,0 +1,757 @@
+'use strict';
+
+/**
+ * Simulates the BusTime API from a scripted scenario.
+ *
+ * @module MockBusTime
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+const TimeZone = require('./TimeZone');
+
+/**
+ * The number of milliseconds in a second.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MS_PER_S = 1000;
+
+/**
+ * Default time before arrival that a trip's predictions start, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_HORIZON = 30 * 60;
+
+/**
+ * Default delay of `slow` faults, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_SLOW_DELAY = 15;
+
+/**
+ * Approximate speed of an approaching bus, in feet per second, used for
+ * distances to the stop.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const FEET_PER_S = 20;
+
+/**
+ * Default distance between the stops of a pattern, in feet.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_STOP_SPACING = 1320;
+
+/**
+ * The most stop, vehicle or pattern IDs accepted in one request, as by the
+ * API.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MAX_IDS_PER_REQUEST = 10;
+
+/**
+ * Fault types.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FAULTS = Object.freeze([
+    'error', 'slow', 'malformed', 'noService'
+]);
+
+/**
+ * The scenario used when none is given: two routes every ten minutes.
+ *
+ * @private
+ * @readonly
+ * @type {Object}
+ */
+const DEFAULT_SCENARIO = Object.freeze({
+    stops: {
+        8245: {
+            stpnm: 'Forbes Ave at Morewood Ave',
+            trips: [
+                { rt: '61C', des: 'Downtown', arrive: 120, every: 600 },
+                { rt: '61D', des: 'Downtown', arrive: 420, every: 600 }
+            ]
+        }
+    },
+    patterns: [
+        {
+            pid: 6103, rt: '61C',
+            stops: ['7117', '7118', '7119', '7120', '7121', '2564', '8245']
+        },
+        {
+            pid: 6104, rt: '61D',
+            stops: ['7117', '7118', '4406', '4407', '4408', '2564', '8245']
+        }
+    ]
+});
+
+/**
+ * Pads a number to two digits.
+ *
+ * @private
+ * @param {number} n - The number.
+ * @returns {string} The padded number.
+ */
+function pad(n) {
+    return n < 10 ? `0${n}` : n.toString();
+}
+
+/**
+ * Formats a time as a BusTime timestamp.
+ *
+ * @private
+ * @param {module:TimeZone} zone - The agency's time zone.
+ * @param {number} ms - The time, in milliseconds since the epoch.
+ * @param {boolean} [seconds=true] - `true` to include the seconds.
+ * @returns {string} The timestamp, as `YYYYMMDD HH:MM[:SS]`.
+ */
+function formatTimestamp(zone, ms, seconds = true) {
+    const {
+        year, month, day, hour, minute, second
+    } = zone.localTime(new Date(ms));
+
+    const ts = `${year}${pad(month)}${pad(day)} ${pad(hour)}:${pad(minute)}`;
+    return seconds ? `${ts}:${pad(second)}` : ts;
+}
+
+/**
+ * Splits a comma-separated request parameter.
+ *
+ * @private
+ * @param {string?} value - The parameter.
+ * @returns {string[]} The values.
+ */
+function parseList(value) {
+    return value ? value.split(',') : [];
+}
+
+/**
+ * Normalizes a scripted trip.
+ *
+ * @private
+ * @param {Object} trip - The trip's script.
+ * @param {number} i - The trip's index among the stop's trips.
+ * @param {string} stpid - The stop's ID.
+ * @throws {Error} The trip must have a route and an arrival time.
+ * @returns {Object} The trip.
+ */
+function parseTrip(trip, i, stpid) {
+    if (!trip.rt || typeof trip.arrive !== 'number') {
+        throw new Error(`Stop ${stpid}, trip ${i}: expected rt and arrive`);
+    }
+
+    return Object.freeze(Object.assign({
+        vid: `${stpid}${pad(i)}`,
+        des: 'Downtown',
+        rtdir: 'INBOUND',
+        dly: false,
+        dyn: 0,
+        every: 0,
+        horizon: DEFAULT_HORIZON
+    }, trip, {
+        changes: Object.freeze((trip.changes || []).slice().sort((a, b) => {
+            return a.at - b.at;
+        }))
+    }));
+}
+
+/**
+ * Normalizes a scripted fault.
+ *
+ * @private
+ * @param {Object} fault - The fault's script.
+ * @param {number} i - The fault's index.
+ * @throws {Error} The fault must have a known type.
+ * @returns {Object} The fault.
+ */
+function parseFault(fault, i) {
+    if (!FAULTS.includes(fault.type)) {
+        throw new Error(`Fault ${i}: unknown type "${fault.type}"`);
+    }
+
+    return Object.freeze(Object.assign({
+        from: 0,
+        to: Infinity,
+        methods: null,
+        status: 500,
+        delay: DEFAULT_SLOW_DELAY
+    }, fault));
+}
+
+/**
+ * Normalizes a scripted pattern.
+ *
+ * @private
+ * @param {Object} pattern - The pattern's script.
+ * @param {number} i - The pattern's index.
+ * @throws {Error} The pattern must have an ID, a route and stops.
+ * @returns {Object} The pattern.
+ */
+function parsePattern(pattern, i) {
+    const { pid, rt, stops } = pattern;
+    if (!Number.isInteger(pid) || !rt || !(stops instanceof Array)) {
+        throw new Error(`Pattern ${i}: expected pid, rt and stops`);
+    }
+
+    return Object.freeze(Object.assign({
+        rtdir: 'INBOUND',
+        spacing: DEFAULT_STOP_SPACING
+    }, pattern, {
+        stops: Object.freeze(stops.map(String))
+    }));
+}
+
+/**
+ * Gets the trips of a scripted trip arriving within its horizon, applying
+ * the changes scripted so far. A repeating trip may have several.
+ *
+ * @private
+ * @param {Object} trip - The trip.
+ * @param {number} t - Seconds into the scenario.
+ * @returns {Object[]} The trips, each with its `arrive` time.
+ */
+function upcomingTrips(trip, t) {
+    const current = Object.assign({}, trip);
+    trip.changes.filter(change => change.at <= t).forEach(change => {
+        Object.assign(current, change);
+    });
+
+    if (!current.every) {
+        const due = current.arrive >= t && current.arrive - t <= trip.horizon;
+        return due ? [current] : [];
+    }
+
+    const trips = [];
+    let k = Math.max(Math.ceil((t - current.arrive) / current.every), 0);
+    for (let arrive = current.arrive + k * current.every;
+        arrive - t <= trip.horizon;
+        k++, arrive += current.every) {
+        trips.push(Object.assign({}, current, {
+            vid: `${current.vid}${k % 10}`,
+            arrive
+        }));
+    }
+
+    return trips;
+}
+
+/**
+ * Represents a simulated BusTime API server.
+ *
+ * The scenario script lists `stops` by ID, each with a `stpnm` and its
+ * `trips`. A trip has a route (`rt`), and arrives `arrive` seconds into the
+ * scenario; its predictions start `horizon` seconds (default 30 minutes)
+ * before. Trips may also give a `des`, `rtdir`, `vid`, delay flag (`dly`) and
+ * dynamic action type (`dyn`, e.g. `1` for canceled), repeat `every` so many
+ * seconds, and list `changes` to those fields (e.g. a later `arrive`) that
+ * happen `at` given times.
+ *
+ * `patterns` list the stops along routes, so that vehicles can be located
+ * on them. Each has a `pid`, a route (`rt`) and direction (`rtdir`), and its
+ * `stops` by ID in order, `spacing` feet apart (default 1320); stops not in
+ * the scenario are named after their IDs. A trip's vehicle is on the first
+ * pattern of its route and direction that passes its stop.
+ *
+ * `faults` make requests fail from one time to another (`from`, `to`, in
+ * seconds), optionally only for some API `methods`: `error` responds with an
+ * HTTP `status` (default 500), `slow` waits `delay` seconds (default 15)
+ * before responding, `malformed` responds with broken JSON, and `noService`
+ * reports no arrival times at every stop.
+ *
+ * The scenario starts when the server is created, and restarts every `loop`
+ * seconds if given. Timestamps are in the scenario's `timeZone` (default the
+ * system's), and requests must use its `apiKey`, if given.
+ *
+ * @alias module:MockBusTime
+ */
+class MockBusTime {
+    /**
+     * Initializes the simulated server.
+     *
+     * @param {Object} [scenario] - The scenario script. Defaults to two routes
+     * every ten minutes.
+     * @throws {Error} The scenario must be valid.
+     */
+    constructor(scenario = DEFAULT_SCENARIO) {
+        const {
+            stops = {}, patterns = [], faults = [], loop = 0, apiKey = null
+        } = scenario;
+
+        const parsedStops = {};
+        Object.keys(stops).forEach(stpid => {
+            const stop = stops[stpid];
+            parsedStops[stpid] = Object.freeze({
+                stpid,
+                stpnm: stop.stpnm || `Stop ${stpid}`,
+                lat: stop.lat || 0,
+                lon: stop.lon || 0,
+                trips: Object.freeze((stop.trips || []).map((trip, i) => {
+                    return parseTrip(trip, i, stpid);
+                }))
+            });
+        });
+
+        Object.defineProperties(this,
+            /** @lends module:MockBusTime.prototype */
+            {
+                /**
+                 * The stops, by ID.
+                 *
+                 * @readonly
+                 * @type {Object<string, Object>}
+                 */
+                stops: { value: Object.freeze(parsedStops) },
+
+                /**
+                 * The scripted patterns.
+                 *
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                patterns: {
+                    value: Object.freeze(patterns.map(parsePattern))
+                },
+
+                /**
+                 * The scripted faults.
+                 *
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                faults: { value: Object.freeze(faults.map(parseFault)) },
+
+                /**
+                 * How often the scenario restarts, in seconds, or `0` if it
+                 * doesn't.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                loop: { value: loop },
+
+                /**
+                 * The API key requests must use, or `null` for any.
+                 *
+                 * @readonly
+                 * @type {string?}
+                 */
+                apiKey: { value: apiKey },
+
+                /**
+                 * The agency's time zone.
+                 *
+                 * @readonly
+                 * @type {module:TimeZone}
+                 */
+                zone: { value: new TimeZone(scenario.timeZone) },
+
+                /**
+                 * When the scenario started, in milliseconds since the epoch.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                start: { value: Date.now() },
+
+                /**
+                 * The HTTP server.
+                 *
+                 * @readonly
+                 * @type {http.Server}
+                 */
+                server: {
+                    value: http.createServer((req, res) => {
+                        this.handle(req, res);
+                    })
+                }
+            }
+        );
+    }
+
+    /**
+     * Starts listening for requests.
+     *
+     * @param {number} port - The port to listen on.
+     * @param {string} [host='127.0.0.1'] - The host to listen on.
+     * @returns {Promise} Resolves once listening, or rejects with an error.
+     */
+    listen(port, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops listening for requests.
+     *
+     * @returns {Promise} Resolves once closed.
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Gets how far into the scenario the given time is.
+     *
+     * @param {number} now - The time, in milliseconds since the epoch.
+     * @returns {number} Seconds into the scenario.
+     */
+    scenarioTime(now) {
+        const t = (now - this.start) / MS_PER_S;
+        return this.loop ? t % this.loop : t;
+    }
+
+    /**
+     * Handles a request.
+     *
+     * @private
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     */
+    handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const method = url.pathname.split('/').pop();
+        const t = this.scenarioTime(Date.now());
+        const fault = this.faults.find(({ from, to, methods }) => {
+            return from <= t && t < to
+                && (!methods || methods.includes(method));
+        });
+        const params = {};
+        url.searchParams.forEach((value, name) => {
+            params[name] = value;
+        });
+
+        const respond = () => {
+            const body = this.respond(method, params, fault);
+            res.writeHead(body === null ? 404 : 200, {
+                'Content-Type': 'application/json'
+            });
+            res.end(fault && fault.type === 'malformed'
+                ? '{"bustime-response": {'
+                : JSON.stringify({ 'bustime-response': body }));
+        };
+
+        if (fault && fault.type === 'error') {
+            res.writeHead(fault.status, { 'Content-Type': 'text/plain' });
+            res.end(http.STATUS_CODES[fault.status] || 'Error');
+        } else if (fault && fault.type === 'slow') {
+            setTimeout(respond, fault.delay * MS_PER_S);
+        } else {
+            respond();
+        }
+    }
+
+    /**
+     * Builds the response to an API request.
+     *
+     * @private
+     * @param {string} method - The API method.
+     * @param {Object<string, string>} params - The request parameters.
+     * @param {Object?} fault - The fault in effect, if any.
+     * @returns {Object?} The `bustime-response`, or `null` if the method is
+     * unknown.
+     */
+    respond(method, params, fault) {
+        if (this.apiKey !== null && params.key !== this.apiKey) {
+            return { error: [{ msg: 'Invalid API access key supplied' }] };
+        }
+
+        const handler = MockBusTime.METHODS[method];
+        if (!handler) {
+            return null;
+        }
+
+        const now = Date.now();
+        return handler.call(this, params, {
+            now,
+            t: this.scenarioTime(now),
+            noService: Boolean(fault) && fault.type === 'noService'
+        });
+    }
+
+    /**
+     * Gets the trips arriving at a stop within their horizons.
+     *
+     * @param {string} stpid - The stop's ID.
+     * @param {number} t - Seconds into the scenario.
+     * @returns {Object[]} The trips, from earliest to latest, each with its
+     * `arrive` time.
+     */
+    upcoming(stpid, t) {
+        const stop = this.stops[stpid];
+        if (!stop) {
+            return [];
+        }
+
+        return stop.trips
+            .map(trip => upcomingTrips(trip, t))
+            .reduce((all, trips) => all.concat(trips), [])
+            .sort((a, b) => a.arrive - b.arrive);
+    }
+
+    /**
+     * Builds a prediction for a trip.
+     *
+     * @private
+     * @param {Object} stop - The stop.
+     * @param {Object} trip - The trip, with its `arrive` time.
+     * @param {Object} time - The current time (`now`, in milliseconds since
+     * the epoch) and scenario time (`t`, in seconds).
+     * @returns {Object} The prediction.
+     */
+    prediction(stop, trip, { now, t }) {
+        const left = trip.arrive - t;
+        const mins = Math.floor(left / 60);
+
+        return {
+            tmstmp: formatTimestamp(this.zone, now, false),
+            typ: 'A',
+            stpid: stop.stpid,
+            stpnm: stop.stpnm,
+            vid: trip.vid,
+            dstp: Math.round(left * FEET_PER_S),
+            rt: trip.rt,
+            rtdd: trip.rt,
+            rtdir: trip.rtdir,
+            des: trip.des,
+            prdtm: formatTimestamp(this.zone, now + left * MS_PER_S, false),
+            dly: trip.dly,
+            dyn: trip.dyn,
+            tablockid: `${trip.rt}-${trip.vid}`,
+            tatripid: trip.vid,
+            prdctdn: mins < 1 ? 'DUE' : mins.toString(),
+            zone: ''
+        };
+    }
+
+    /**
+     * Builds the vehicle running a trip, placing it on the trip's pattern, if
+     * any, as far before the stop as its predictions say.
+     *
+     * @private
+     * @param {Object} stop - The stop.
+     * @param {Object} trip - The trip, with its `arrive` time.
+     * @param {Object} time - The current time (`now`, in milliseconds since
+     * the epoch) and scenario time (`t`, in seconds).
+     * @returns {Object} The vehicle.
+     */
+    vehicle(stop, trip, { now, t }) {
+        const pattern = this.patterns.find(({ rt, rtdir, stops }) => {
+            return rt === trip.rt && rtdir === trip.rtdir
+                && stops.includes(stop.stpid);
+        });
+        const pdist = pattern
+            ? pattern.stops.indexOf(stop.stpid) * pattern.spacing
+                - (trip.arrive - t) * FEET_PER_S
+            : 0;
+
+        return {
+            vid: trip.vid,
+            tmstmp: formatTimestamp(this.zone, now, false),
+            lat: stop.lat,
+            lon: stop.lon,
+            hdg: 0,
+            pid: pattern ? pattern.pid : 0,
+            rt: trip.rt,
+            des: trip.des,
+            pdist: Math.max(Math.round(pdist), 0),
+            dly: trip.dly,
+            tablockid: `${trip.rt}-${trip.vid}`,
+            tatripid: trip.vid
+        };
+    }
+
+    /**
+     * Builds a pattern's route points.
+     *
+     * @private
+     * @param {Object} pattern - The pattern.
+     * @returns {Object} The pattern, as returned by the API.
+     */
+    pattern({ pid, rtdir, stops, spacing }) {
+        return {
+            pid,
+            ln: (stops.length - 1) * spacing,
+            rtdir,
+            pt: stops.map((stpid, i) => {
+                const stop = this.stops[stpid] || {};
+                return {
+                    seq: i + 1,
+                    lat: stop.lat || 0,
+                    lon: stop.lon || 0,
+                    typ: 'S',
+                    stpid,
+                    stpnm: stop.stpnm || `Stop ${stpid}`,
+                    pdist: i * spacing
+                };
+            })
+        };
+    }
+}
+
+/**
+ * Builds the responses to each API method, called with the simulated server
+ * as `this`, the request parameters, and the current time (`now`, `t`) and
+ * whether a `noService` fault is in effect.
+ *
+ * @private
+ * @readonly
+ * @type {Object<string, Function>}
+ */
+MockBusTime.METHODS = Object.freeze({
+    gettime(params, { now }) {
+        return { tm: formatTimestamp(this.zone, now) };
+    },
+
+    getpredictions(params, time) {
+        const rts = parseList(params.rt);
+        const top = Number.parseInt(params.top, 10) || Infinity;
+        const prd = [];
+        const error = [];
+        const stpids = parseList(params.stpid);
+        if (stpids.length > MAX_IDS_PER_REQUEST) {
+            return { error: [{ msg: 'Maximum identifiers exceeded' }] };
+        }
+
+        stpids.forEach(stpid => {
+            const stop = this.stops[stpid];
+            const trips = stop && !time.noService
+                ? this.upcoming(stpid, time.t).filter(trip => {
+                    return !rts.length || rts.includes(trip.rt);
+                })
+                : [];
+            if (!stop) {
+                error.push({ stpid, msg: 'No data found for parameter' });
+            } else if (!trips.length) {
+                error.push({ stpid, msg: 'No arrival times' });
+            }
+            trips.forEach(trip => prd.push(this.prediction(stop, trip, time)));
+        });
+
+        prd.sort((a, b) => a.dstp - b.dstp);
+        return Object.assign(
+            prd.length ? { prd: prd.slice(0, top) } : {},
+            error.length ? { error } : {}
+        );
+    },
+
+    getroutes() {
+        const rts = new Set();
+        Object.keys(this.stops).forEach(stpid => {
+            this.stops[stpid].trips.forEach(({ rt }) => rts.add(rt));
+        });
+
+        return {
+            routes: Array.from(rts).map(rt => {
+                return { rt, rtnm: rt, rtclr: '#000000', rtdd: rt };
+            })
+        };
+    },
+
+    getdirections({ rt }) {
+        const dirs = new Set();
+        Object.keys(this.stops).forEach(stpid => {
+            this.stops[stpid].trips
+                .filter(trip => trip.rt === rt)
+                .forEach(({ rtdir }) => dirs.add(rtdir));
+        });
+
+        return dirs.size
+            ? { directions: Array.from(dirs).map(id => ({ id, name: id })) }
+            : { error: [{ rt, msg: 'No data found for parameter' }] };
+    },
+
+    getstops({ rt, dir, stpid }) {
+        const ids = stpid ? parseList(stpid) : Object.keys(this.stops);
+        const stops = ids.map(id => this.stops[id]).filter(stop => {
+            return stop && (!rt || stop.trips.some(trip => {
+                return trip.rt === rt && (!dir || trip.rtdir === dir);
+            }));
+        }).map(({ stpid: id, stpnm, lat, lon }) => {
+            return { stpid: id, stpnm, lat, lon };
+        });
+
+        return stops.length
+            ? { stops }
+            : { error: [{ msg: 'No data found for parameter' }] };
+    },
+
+    getvehicles({ vid, rt }, time) {
+        const vids = parseList(vid);
+        const rts = parseList(rt);
+        if (vids.length > MAX_IDS_PER_REQUEST) {
+            return { error: [{ msg: 'Maximum identifiers exceeded' }] };
+        }
+
+        const vehicle = [];
+        Object.keys(this.stops).forEach(stpid => {
+            const stop = this.stops[stpid];
+            this.upcoming(stpid, time.t).filter(trip => {
+                return (!vids.length || vids.includes(trip.vid))
+                    && (!rts.length || rts.includes(trip.rt));
+            }).forEach(trip => vehicle.push(this.vehicle(stop, trip, time)));
+        });
+
+        return vehicle.length
+            ? { vehicle }
+            : { error: [{ msg: 'No data found for parameter' }] };
+    },
+
+    getpatterns({ pid, rt }) {
+        const pids = parseList(pid).map(Number);
+        if (pids.length > MAX_IDS_PER_REQUEST) {
+            return { error: [{ msg: 'Maximum identifiers exceeded' }] };
+        }
+
+        const ptr = this.patterns.filter(pattern => {
+            return pids.length ? pids.includes(pattern.pid) : pattern.rt === rt;
+        }).map(pattern => this.pattern(pattern));
+
+        return ptr.length
+            ? { ptr }
+            : { error: [{ msg: 'No data found for parameter' }] };
+    },
+
+    getservicebulletins() {
+        return { sb: [] };
+    },
+
+    getdetours() {
+        return { dtrs: [] };
+    },
+
+    getrtpidatafeeds() {
+        return { rtpidatafeeds: [] };
+    }
+});
+
+MockBusTime.DEFAULT_SCENARIO = DEFAULT_SCENARIO;
+
+Object.freeze(MockBusTime);
+module.exports = MockBusTime;
@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * Library for pages of predictions shown on the display in turn.
+ *
+ * @module Page
+ */
+
+const BusTimeFilter = require('./BusTime/Filter');
+
+/**
+ * The number of milliseconds in a minute.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MS_PER_MIN = 60 * 1000;
+
+/**
+ * Resolves the walking time to each of a page's stops.
+ *
+ * @private
+ * @param {string} name - The page's name, for errors.
+ * @param {string|string[]} stpid - The page's stop IDs.
+ * @param {number|Object<string, number>?} walk - Walking time in minutes, to
+ * every stop or by stop ID.
+ * @throws {Error} The walking times must be non-negative numbers for the
+ * page's stops.
+ * @returns {Map<string, number>} Walking time in milliseconds, by stop ID.
+ */
+function resolveWalk(name, stpid, walk) {
+    const stpids = [].concat(stpid).join(',').split(',');
+    const times = typeof walk === 'number'
+        ? stpids.map(id => [id, walk])
+        : Object.keys(walk || {}).map(id => [id, walk[id]]);
+
+    return new Map(times.map(([id, mins]) => {
+        if (!stpids.includes(id)) {
+            throw new Error(`Page ${name}: no such stop ${id} to walk to`);
+        }
+        if (!(typeof mins === 'number' && mins >= 0 && mins < Infinity)) {
+            throw new Error(`Page ${name}: invalid walking time ${mins}`);
+        }
+
+        return [id, mins * MS_PER_MIN];
+    }));
+}
+
+/**
+ * Represents a page: predictions for a set of stops, filtered by route and
+ * shown on a set of display rows.
+ *
+ * @alias module:Page
+ */
+class Page {
+    /**
+     * Initializes the page.
+     *
+     * @param {Object} cfg - Page configuration.
+     * @param {string} [cfg.name] - The page's name, for logging.
+     * @param {string|string[]} cfg.stpid - One or more stop IDs.
+     * @param {Object} [cfg.filter] - Prediction filter configuration; see
+     * [`Filter`]{@link module:BusTime/Filter}.
+     * @param {number[]} [cfg.rows] - Indices of the display rows to fill, in
+     * order, with the page's predictions from earliest to latest. Defaults to
+     * every row.
+     * @param {number|Object<string, number>} [cfg.walk] - Walking time to the
+     * stops in minutes: one for every stop, or by stop ID (stops left out
+     * take none). With walking times, the page counts down to when to leave
+     * rather than to the arrival, and hides buses that can no longer be
+     * caught.
+     * @param {number} numRows - The number of display rows.
+     * @throws {Error} The configuration must be valid.
+     */
+    constructor(cfg, numRows) {
+        const { name = '', stpid, filter, walk = null } = cfg;
+        if (!stpid || (stpid instanceof Array && !stpid.length)) {
+            throw new Error(`Page ${name}: no stop IDs specified`);
+        }
+
+        const rows = cfg.rows || Array.from({ length: numRows }, (x, i) => i);
+        rows.forEach(row => {
+            if (!(Number.isInteger(row) && row >= 0 && row < numRows)) {
+                throw new Error(`Page ${name}: no such row ${row}`);
+            }
+        });
+
+        Object.defineProperties(this,
+            /** @lends module:Page.prototype */
+            {
+                /**
+                 * The page's name.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                name: { value: name.toString() },
+
+                /**
+                 * One or more stop IDs.
+                 *
+                 * @readonly
+                 * @type {string|string[]}
+                 */
+                stpid: { value: stpid },
+
+                /**
+                 * The prediction filter.
+                 *
+                 * @readonly
+                 * @type {module:BusTime/Filter}
+                 */
+                filter: { value: new BusTimeFilter(filter) },
+
+                /**
+                 * Indices of the display rows to fill, in order.
+                 *
+                 * @readonly
+                 * @type {number[]}
+                 */
+                rows: { value: Object.freeze(rows.slice()) },
+
+                /**
+                 * Whether the page counts down to when to leave for the
+                 * stops, rather than to the arrivals.
+                 *
+                 * @readonly
+                 * @type {boolean}
+                 */
+                leaveNow: { value: walk !== null },
+
+                /**
+                 * Walking time to each stop, in milliseconds, by stop ID.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Map<string, number>}
+                 */
+                walk: { value: resolveWalk(name, stpid, walk) },
+
+                /**
+                 * The latest filtered predictions, or `null` if there are
+                 * none to show (e.g. the latest requests have been failing
+                 * for too long).
+                 *
+                 * @type {module:BusTime/Prediction[]?}
+                 */
+                predictions: { value: null, writable: true },
+
+                /**
+                 * When the predictions were received.
+                 *
+                 * @type {Date?}
+                 */
+                fetchedAt: { value: null, writable: true },
+
+                /**
+                 * How many stops away the predictions' buses are, for those
+                 * that have been located; see
+                 * [`StopsAway`]{@link module:StopsAway}.
+                 *
+                 * @type {Map<module:BusTime/Prediction, number>}
+                 */
+                stopsAway: { value: new Map(), writable: true },
+
+                /**
+                 * How many requests the latest refresh took, counting
+                 * groups of stops, retries and locating buses.
+                 *
+                 * @type {number}
+                 */
+                requests: { value: 1, writable: true },
+
+                /**
+                 * When the predictions should next be requested, in
+                 * milliseconds since the epoch.
+                 *
+                 * @type {number}
+                 */
+                nextFetch: { value: 0, writable: true }
+            }
+        );
+    }
+
+    /**
+     * Checks if the page's predictions should be requested again.
+     *
+     * @param {Date} date - The current date.
+     * @returns {boolean} `true` if the predictions are due for a refresh.
+     */
+    isStale(date) {
+        return date.getTime() >= this.nextFetch;
+    }
+
+    /**
+     * Marks the page's predictions as due for a refresh.
+     */
+    invalidate() {
+        this.nextFetch = 0;
+    }
+
+    /**
+     * Replaces the page's predictions after a successful request.
+     *
+     * @param {module:BusTime/Prediction[]} prds - The filtered predictions.
+     * @param {Date} date - When they were received.
+     */
+    update(prds, date) {
+        this.predictions = prds;
+        this.fetchedAt = date;
+        this.stopsAway = new Map();
+    }
+
+    /**
+     * Records a failed request. The latest predictions keep counting down
+     * until they are more than `grace` milliseconds old, after which they are
+     * dropped.
+     *
+     * @param {Date} date - When the request failed.
+     * @param {number} grace - How long predictions may be shown for after
+     * they were received, in milliseconds.
+     */
+    fail(date, grace) {
+        if (!this.fetchedAt || date - this.fetchedAt > grace) {
+            this.predictions = null;
+        }
+    }
+
+    /**
+     * Gets how long until a prediction's countdown runs out: until its
+     * arrival or, in leave-now mode, until the walk to its stop must start.
+     *
+     * @private
+     * @param {module:BusTime/Prediction} prd - The prediction.
+     * @param {Date} date - The current date.
+     * @returns {number} The time in milliseconds; negative once it has
+     * passed.
+     */
+    remaining(prd, date) {
+        const walk = this.walk.get(prd.stpid) || 0;
+        return prd.timeUntil(date, this.fetchedAt) - walk;
+    }
+
+    /**
+     * Gets the predictions whose countdowns have not yet run out, from the
+     * soonest countdown to the latest.
+     *
+     * @param {Date} date - The current date.
+     * @returns {module:BusTime/Prediction[]} The predictions.
+     */
+    upcoming(date) {
+        return (this.predictions || [])
+            .filter(prd => this.remaining(prd, date) >= 0)
+            .sort((a, b) => {
+                return this.remaining(a, date) - this.remaining(b, date);
+            });
+    }
+
+    /**
+     * Counts down to a prediction's arrival or, in leave-now mode, to when
+     * to leave for its stop.
+     *
+     * @param {module:BusTime/Prediction} prd - The prediction.
+     * @param {Date} date - The current date.
+     * @returns {number} Whole minutes left.
+     */
+    countdown(prd, date) {
+        // Whole minutes left, as in `prdctdn`. A time exactly on a minute
+        // boundary counts as the minute below, so that the countdown changes
+        // when `nextTick()` says, not a millisecond later.
+        const remaining = this.remaining(prd, date);
+        return Math.max(Math.ceil(remaining / MS_PER_MIN) - 1, 0);
+    }
+
+    /**
+     * Gets how long until any upcoming prediction's countdown changes.
+     *
+     * @param {Date} date - The current date.
+     * @returns {number} The time in milliseconds, or `Infinity` if there are
+     * no upcoming predictions.
+     */
+    nextTick(date) {
+        return Math.min(...this.upcoming(date).map(prd => {
+            const remaining = this.remaining(prd, date);
+            return remaining > 0 ? (remaining - 1) % MS_PER_MIN + 1 : 1;
+        }));
+    }
+
+    /**
+     * Gets the prediction each display row should show, and its countdown.
+     *
+     * @param {number} numRows - The number of display rows.
+     * @param {Date} date - The current date.
+     * @returns {Array<Object?>} The `prediction`, its `countdown` (in
+     * minutes) and how many stops away its bus is (`stopsAway`, or `null` if
+     * not located) for each display row; `null` for rows that should be
+     * blank.
+     */
+    rowPredictions(numRows, date) {
+        const prds = this.upcoming(date);
+        return Array.from({ length: numRows }, (x, row) => {
+            const prediction = prds[this.rows.indexOf(row)];
+            if (!prediction) {
+                return null;
+            }
+
+            return {
+                prediction,
+                countdown: this.countdown(prediction, date),
+                stopsAway: this.stopsAway.has(prediction)
+                    ? this.stopsAway.get(prediction)
+                    : null
+            };
+        });
+    }
+}
+
+Object.freeze(Page);
+module.exports = Page;
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Library for deciding how often to request predictions.
+ *
+ * @module PollStrategy
+ */
+
+/**
+ * The number of milliseconds in a second.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MS_PER_S = 1000;
+
+/**
+ * Polling rules, mapping each strategy name to a function that takes the
+ * strategy's configuration and returns its rule. A rule takes the latest
+ * predictions (`null` if the request failed) and returns the number of
+ * milliseconds to wait before requesting them again.
+ *
+ * @private
+ * @type {Object<string, Function>}
+ */
+const STRATEGIES = {
+    /**
+     * Polls faster when the next bus is coming soon, and slower when it is
+     * far away.
+     *
+     * @private
+     * @param {Object} cfg - Strategy configuration.
+     * @param {number} [cfg.minInterval=30] - The shortest interval, in
+     * seconds. Failed or empty requests are retried after twice this.
+     * @param {number} [cfg.divisor=5] - The interval is the next bus's
+     * countdown in minutes divided by this, times `minInterval`.
+     * @returns {Function} The rule.
+     */
+    countdown({ minInterval = 30, divisor = 5 }) {
+        const min = minInterval * MS_PER_S;
+        return prds => {
+            if (!prds || !prds[0]) {
+                return 2 * min;
+            }
+
+            const { prdctdn } = prds[0];
+            return Math.max((prdctdn / divisor) * min, min);
+        };
+    },
+
+    /**
+     * Polls at a fixed interval.
+     *
+     * @private
+     * @param {Object} cfg - Strategy configuration.
+     * @param {number} [cfg.interval=60] - The interval, in seconds.
+     * @returns {Function} The rule.
+     */
+    fixed({ interval = 60 }) {
+        return () => interval * MS_PER_S;
+    }
+};
+
+/**
+ * Represents a polling strategy: a named rule for how long to wait between
+ * requests for a page's predictions.
+ *
+ * The built-in strategies are `countdown` (the default) and `fixed`; others
+ * may be added with [`register()`]{@link module:PollStrategy.register}.
+ *
+ * @alias module:PollStrategy
+ */
+class PollStrategy {
+    /**
+     * Initializes the strategy.
+     *
+     * @param {Object} [cfg] - Strategy configuration, also passed to the
+     * strategy's rule.
+     * @param {string} [cfg.strategy='countdown'] - The strategy's name.
+     * @throws {Error} The strategy must exist.
+     */
+    constructor(cfg = {}) {
+        const { strategy = 'countdown' } = cfg;
+        if (!Object.prototype.hasOwnProperty.call(STRATEGIES, strategy)) {
+            throw new Error(`Unknown polling strategy "${strategy}"`);
+        }
+
+        Object.defineProperties(this,
+            /** @lends module:PollStrategy.prototype */
+            {
+                /**
+                 * The strategy's name.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                name: { value: strategy },
+
+                /**
+                 * The strategy's rule.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Function}
+                 */
+                rule: { value: STRATEGIES[strategy](cfg) }
+            }
+        );
+    }
+
+    /**
+     * Gets how long to wait before requesting predictions again.
+     *
+     * @param {Array<module:BusTime/Prediction>?} prds - The latest
+     * predictions, or `null` if the request failed.
+     * @returns {number} Milliseconds to wait.
+     */
+    interval(prds) {
+        return this.rule(prds);
+    }
+
+    /**
+     * Adds a strategy, or replaces one with the same name.
+     *
+     * @param {string} name - The strategy's name.
+     * @param {Function} factory - Takes the strategy's configuration and
+     * returns its rule: a function taking the latest predictions (`null` if
+     * the request failed) and returning the number of milliseconds to wait
+     * before requesting them again.
+     */
+    static register(name, factory) {
+        STRATEGIES[name] = factory;
+    }
+}
+
+Object.freeze(PollStrategy);
+module.exports = PollStrategy;
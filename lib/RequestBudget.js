@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Library for keeping BusTime API usage within a daily request limit.
+ *
+ * @module RequestBudget
+ */
+
+const crypto = require('crypto');
+
+const TimeZone = require('./TimeZone');
+
+/**
+ * Default daily request limit, matching the BusTime API's default.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 10000;
+
+/**
+ * Default time to wait after a request before saving the counters, in
+ * seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_SAVE_INTERVAL = 5 * 60;
+
+/**
+ * The number of milliseconds in a day.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Identifies an API key without revealing it.
+ *
+ * @private
+ * @param {string} apiKey - The API key.
+ * @returns {string} A short hash of the key.
+ */
+function keyID(apiKey) {
+    return crypto.createHash('sha256')
+        .update(String(apiKey))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+/**
+ * Pads a number to two digits.
+ *
+ * @private
+ * @param {number} num - The number.
+ * @returns {string} The padded number.
+ */
+function pad(num) {
+    return num.toString().padStart(2, '0');
+}
+
+/**
+ * Represents a daily budget of API requests for an API key.
+ *
+ * Requests are counted per key per day, and the counters are saved to a
+ * state file every so often, and on shutdown, so that restarts don't reset
+ * them. Only this board's requests are counted: boards sharing a key each
+ * keep their own counters, and should each be given a share of its limit.
+ * As the budget runs low,
+ * [`stretch()`]{@link module:RequestBudget#stretch} lengthens polling
+ * intervals so that the rest of the budget lasts until the end of the day.
+ *
+ * @alias module:RequestBudget
+ */
+class RequestBudget {
+    /**
+     * Initializes the budget, loading any saved counters.
+     *
+     * @param {string} apiKey - The API key.
+     * @param {Object} [cfg] - Budget configuration.
+     * @param {number} [cfg.limit=10000] - Requests allowed per day. When
+     * several boards share a key, give each its share of the key's limit.
+     * @param {string} [cfg.timeZone] - IANA time zone in which the day
+     * starts. Defaults to the system's.
+     * @param {number} [cfg.saveInterval=300] - How long to wait after a
+     * request before saving the counters, in seconds. Requests in the
+     * meantime are saved together.
+     * @param {module:StateStore?} [store] - The state file for the counters,
+     * or `null` to keep them in memory only.
+     */
+    constructor(apiKey, cfg = {}, store = null) {
+        const {
+            limit = DEFAULT_LIMIT,
+            timeZone,
+            saveInterval = DEFAULT_SAVE_INTERVAL
+        } = cfg;
+
+        let counters = {};
+        try {
+            counters = store ? store.load() : {};
+        } catch (err) {
+            console.error(`Loading request counts from ${store.file} failed`,
+                err);
+        }
+
+        Object.defineProperties(this,
+            /** @lends module:RequestBudget.prototype */
+            {
+                /**
+                 * Requests allowed per day.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                limit: { value: limit },
+
+                /**
+                 * Identifies the API key in the counters.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {string}
+                 */
+                key: { value: keyID(apiKey) },
+
+                /**
+                 * The time zone in which the day starts.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {module:TimeZone}
+                 */
+                zone: { value: new TimeZone(timeZone) },
+
+                /**
+                 * The state file, if any.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {module:StateStore?}
+                 */
+                store: { value: store },
+
+                /**
+                 * How long to wait after a request before saving the
+                 * counters, in milliseconds.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {number}
+                 */
+                saveInterval: { value: saveInterval * 1000 },
+
+                /**
+                 * The pending save's timer, if any.
+                 *
+                 * @private
+                 * @type {Timeout?}
+                 */
+                saveTimer: { value: null, writable: true },
+
+                /**
+                 * The `day` and request `count` for each API key, by key ID.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object<string, Object>}
+                 */
+                counters: { value: counters }
+            }
+        );
+    }
+
+    /**
+     * Gets the local day of the given date.
+     *
+     * @private
+     * @param {Date} date - The date.
+     * @returns {string} The day, as `YYYY-MM-DD`.
+     */
+    day(date) {
+        const { year, month, day } = this.zone.localTime(date);
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    /**
+     * Gets the number of requests made so far on the given date's day.
+     *
+     * @param {Date} date - The date.
+     * @returns {number} The number of requests.
+     */
+    used(date) {
+        const counter = this.counters[this.key];
+        return counter && counter.day === this.day(date) ? counter.count : 0;
+    }
+
+    /**
+     * Gets the number of requests left on the given date's day.
+     *
+     * @param {Date} date - The date.
+     * @returns {number} The number of requests.
+     */
+    remaining(date) {
+        return Math.max(this.limit - this.used(date), 0);
+    }
+
+    /**
+     * Counts a request, saving the counters once `saveInterval` has passed.
+     *
+     * @param {Date} date - When the request was made.
+     */
+    record(date) {
+        this.counters[this.key] = {
+            day: this.day(date),
+            count: this.used(date) + 1
+        };
+
+        if (this.store && !this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), this.saveInterval);
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Saves the counters now, if any requests have been counted since they
+     * were last saved.
+     *
+     * @returns {Promise} Resolves when the counters are saved, or failed to.
+     */
+    save() {
+        if (!this.saveTimer) {
+            return Promise.resolve();
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        return this.store.save(this.counters).catch(err => {
+            console.error(`Saving request counts to ${this.store.file} failed`,
+                err);
+        });
+    }
+
+    /**
+     * Gets the time left until the end of the given date's day.
+     *
+     * @private
+     * @param {Date} date - The date.
+     * @returns {number} The time, in milliseconds.
+     */
+    timeLeft(date) {
+        const { hour, minute, second } = this.zone.localTime(date);
+        const elapsed = ((hour * 60 + minute) * 60 + second) * 1000
+            + date.getTime() % 1000;
+        return MS_PER_DAY - elapsed;
+    }
+
+    /**
+     * Stretches a polling interval so that the rest of the day's budget lasts
+     * until the end of the day. Once the budget is spent, the interval lasts
+     * until the next day.
+     *
+     * @param {number} interval - The interval wanted, in milliseconds.
+     * @param {Date} date - The current date.
+     * @param {number} [requests=1] - How many requests are made each
+     * interval, e.g. by every page refreshing once.
+     * @returns {number} The interval to use, in milliseconds.
+     */
+    stretch(interval, date, requests = 1) {
+        const timeLeft = this.timeLeft(date);
+        const remaining = this.remaining(date);
+        if (!remaining) {
+            return Math.max(interval, timeLeft);
+        }
+
+        return Math.max(interval, timeLeft / remaining * requests);
+    }
+}
+
+Object.freeze(RequestBudget);
+module.exports = RequestBudget;
@@ -0,0 +1,414 @@
+'use strict';
+
+/**
+ * Library for determining when the display should be awake.
+ *
+ * @module Schedule
+ */
+
+const TimeZone = require('./TimeZone');
+
+/**
+ * Weekday keys, indexed by `Date#getDay()`.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const WEEKDAYS = Object.freeze([
+    'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'
+]);
+
+/**
+ * The number of minutes in a day.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MINS_PER_DAY = 24 * 60;
+
+/**
+ * The number of milliseconds in a minute.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MS_PER_MIN = 60 * 1000;
+
+/**
+ * How many days ahead to search for the next awake window.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * A weekly schedule that is always awake.
+ *
+ * @private
+ * @readonly
+ * @type {Array<Array<number[]>>}
+ */
+const ALWAYS_AWAKE = Object.freeze(WEEKDAYS.map(() => {
+    return Object.freeze([Object.freeze([0, MINS_PER_DAY])]);
+}));
+
+/**
+ * Parses a time of day.
+ *
+ * @private
+ * @param {string|number} time - The time, either as `HH:MM` or as a number of
+ * hours since midnight.
+ * @throws {Error} The time must be well-formed.
+ * @returns {number} Minutes since midnight.
+ */
+function parseTime(time) {
+    if (typeof time === 'number') {
+        return time * 60;
+    }
+
+    const matches = /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (!matches) {
+        throw new Error(`Malformed time: ${time}`);
+    }
+
+    return Number.parseInt(matches[1], 10) * 60
+        + Number.parseInt(matches[2], 10);
+}
+
+/**
+ * Parses a list of awake windows.
+ *
+ * @private
+ * @param {Array<Array<(string|number)>>} [windows=[]] - The windows, as
+ * `[start, end]` times of day. A window whose end is not after its start
+ * continues past midnight into the next day.
+ * @returns {Array<number[]>} The windows, in minutes since midnight, sorted by
+ * start time.
+ */
+function parseWindows(windows = []) {
+    return Object.freeze(windows
+        .map(([start, end]) => {
+            return Object.freeze([parseTime(start), parseTime(end)]);
+        })
+        .sort((a, b) => a[0] - b[0])
+    );
+}
+
+/**
+ * Parses a date of the form `YYYY-MM-DD`.
+ *
+ * @private
+ * @param {string} date - The date.
+ * @throws {Error} The date must be well-formed.
+ * @returns {string} The date.
+ */
+function parseDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new Error(`Malformed date: ${date}`);
+    }
+
+    return date;
+}
+
+/**
+ * Parses a date-specific override.
+ *
+ * @private
+ * @param {Object} override - The override configuration.
+ * @param {Object<string, Array<Array<number[]>>>} weeklies - The parsed weekly
+ * schedules.
+ * @throws {Error} The override must be valid.
+ * @returns {Object} The parsed override.
+ */
+function parseOverride(override, weeklies) {
+    const from = parseDate(override.from);
+    const to = parseDate(override.to || override.from);
+
+    if ('windows' in override) {
+        return Object.freeze({
+            from, to, windows: parseWindows(override.windows)
+        });
+    }
+
+    const { weekly } = override;
+    if (!(weekly in weeklies)) {
+        throw new Error(`Unknown weekly schedule "${weekly}"`);
+    }
+
+    return Object.freeze({ from, to, weekly: weeklies[weekly] });
+}
+
+/**
+ * Represents a calendar date.
+ *
+ * @private
+ * @typedef {Object} CalendarDate
+ * @property {number} year - The year.
+ * @property {number} month - The month, from 1 to 12.
+ * @property {number} day - The day of the month.
+ */
+
+/**
+ * Adds days to a calendar date.
+ *
+ * @private
+ * @param {CalendarDate} date - The date.
+ * @param {number} days - The number of days to add.
+ * @returns {CalendarDate} The new date.
+ */
+function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate()
+    };
+}
+
+/**
+ * Formats a calendar date as `YYYY-MM-DD`.
+ *
+ * @private
+ * @param {CalendarDate} date - The date.
+ * @returns {string} The formatted date.
+ */
+function formatDate({ year, month, day }) {
+    const pad = n => n.toString().padStart(2, '0');
+    return `${year.toString().padStart(4, '0')}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Represents the awake schedule of the display, in a particular time zone.
+ *
+ * @alias module:Schedule
+ */
+class Schedule {
+    /**
+     * Initializes the schedule.
+     *
+     * If no weekly schedules are given, the display is always awake, except
+     * as specified by the overrides.
+     *
+     * @param {Object} [cfg] - Schedule configuration.
+     * @param {string} [cfg.timeZone] - IANA time zone the schedule is in.
+     * Defaults to the system time zone.
+     * @param {Object<string, Object>} [cfg.weekly] - Named weekly schedules,
+     * each mapping weekdays (`sun`, `mon`, ..., `sat`) to lists of awake
+     * windows. A window is a `[start, end]` pair of times, given as `HH:MM` or
+     * as hours since midnight.
+     * @param {string} [cfg.default] - The weekly schedule to use when no
+     * override applies. Defaults to the first weekly schedule.
+     * @param {Object[]} [cfg.overrides] - Date-specific overrides. Each has a
+     * `from` date (`YYYY-MM-DD`), an optional inclusive `to` date, and either
+     * the name of a `weekly` schedule or a list of `windows` to use on each of
+     * those dates. Later overrides take precedence.
+     * @throws {Error} The configuration must be valid.
+     */
+    constructor(cfg = {}) {
+        const { timeZone, weekly = {}, overrides = [] } = cfg;
+
+        const zone = new TimeZone(timeZone);
+
+        const weeklies = {};
+        Object.keys(weekly).forEach(name => {
+            const days = weekly[name];
+            weeklies[name] = Object.freeze(
+                WEEKDAYS.map(key => parseWindows(days[key]))
+            );
+        });
+        Object.freeze(weeklies);
+
+        const defaultName = cfg.default || Object.keys(weeklies)[0];
+        if (defaultName && !(defaultName in weeklies)) {
+            throw new Error(`Unknown weekly schedule "${defaultName}"`);
+        }
+
+        Object.defineProperties(this,
+            /** @lends module:Schedule.prototype */
+            {
+                /**
+                 * IANA time zone the schedule is in.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                timeZone: { value: zone.name },
+
+                /**
+                 * The schedule's time zone.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {module:TimeZone}
+                 */
+                zone: { value: zone },
+
+                /**
+                 * Named weekly schedules, as lists of awake windows indexed by
+                 * weekday.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object<string, Array<Array<number[]>>>}
+                 */
+                weeklies: { value: weeklies },
+
+                /**
+                 * The default weekly schedule.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Array<Array<number[]>>}
+                 */
+                defaultWeekly: {
+                    value: defaultName ? weeklies[defaultName] : ALWAYS_AWAKE
+                },
+
+                /**
+                 * Date-specific overrides, latest first.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Object[]}
+                 */
+                overrides: {
+                    value: Object.freeze(overrides.map(override => {
+                        return parseOverride(override, weeklies);
+                    }).reverse())
+                }
+            }
+        );
+    }
+
+    /**
+     * Gets the local time in the schedule's time zone.
+     *
+     * @param {Date} date - The date.
+     * @returns {Object} The local `year`, `month` (1 to 12), `day`, `hour`,
+     * `minute` and `second`.
+     */
+    localTime(date) {
+        return this.zone.localTime(date);
+    }
+
+    /**
+     * Converts a local time in the schedule's time zone to a time since the
+     * epoch. Local times skipped by a DST change resolve forward to the
+     * instant the change happens at.
+     *
+     * @private
+     * @param {CalendarDate} date - The local date.
+     * @param {number} mins - Minutes since local midnight.
+     * @returns {number} The time, in milliseconds since the epoch.
+     */
+    toTime({ year, month, day }, mins) {
+        const wall = Date.UTC(year, month - 1, day) + mins * MS_PER_MIN;
+        return this.zone.toTime(wall);
+    }
+
+    /**
+     * Gets the awake windows on the given local date, including any spilling
+     * over from the previous day.
+     *
+     * @param {CalendarDate} date - The local date.
+     * @returns {Array<number[]>} The windows, in minutes since midnight,
+     * sorted by start time.
+     */
+    windowsOn(date) {
+        const prev = this.rawWindowsOn(addDays(date, -1))
+            .filter(([start, end]) => end <= start)
+            .map(([, end]) => [0, end]);
+
+        const today = this.rawWindowsOn(date).map(([start, end]) => {
+            return end <= start ? [start, MINS_PER_DAY] : [start, end];
+        });
+
+        return prev.concat(today).sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Gets the configured awake windows for the given local date.
+     *
+     * @private
+     * @param {CalendarDate} date - The local date.
+     * @returns {Array<number[]>} The windows, as configured.
+     */
+    rawWindowsOn(date) {
+        const key = formatDate(date);
+        const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day))
+            .getUTCDay();
+
+        const override = this.overrides.find(({ from, to }) => {
+            return from <= key && key <= to;
+        });
+
+        if (!override) {
+            return this.defaultWeekly[weekday];
+        }
+
+        return override.windows || override.weekly[weekday];
+    }
+
+    /**
+     * Gets the next time the display should wake up.
+     *
+     * @param {Date} date - The current date.
+     * @returns {Date?} `null` if the display should be awake now; otherwise,
+     * the next time it should be awake, or an invalid `Date` if it never
+     * should be.
+     */
+    nextWake(date) {
+        const local = this.localTime(date);
+        const { hour, minute, second } = local;
+        const secs = second + date.getMilliseconds() / 1000;
+        const now = hour * 60 + minute + secs / 60;
+
+        for (let days = 0; days <= MAX_LOOKAHEAD_DAYS; days++) {
+            const day = addDays(local, days);
+
+            for (let [start, end] of this.windowsOn(day)) {
+                if (days === 0 && start <= now && now < end) {
+                    return null;
+                }
+
+                // A start repeated by a DST change may already have passed.
+                const wake = this.toTime(day, start);
+                if ((days > 0 || now < start) && wake > date.getTime()) {
+                    return new Date(wake);
+                }
+            }
+        }
+
+        return new Date(NaN);
+    }
+
+    /**
+     * Determines if the display should be sleeping.
+     *
+     * @param {Date} date - The date to check.
+     * @returns {number?} `null` if no sleeping is necessary; otherwise,
+     * duration until next awakening in milliseconds (`Infinity` if the display
+     * should never wake).
+     */
+    sleepDuration(date) {
+        const wake = this.nextWake(date);
+        if (!wake) {
+            return null;
+        }
+
+        const time = wake.getTime();
+        if (Number.isNaN(time)) {
+            return Infinity;
+        }
+
+        return Math.max(time - date.getTime(), 0);
+    }
+}
+
+Object.freeze(Schedule);
+module.exports = Schedule;
@@ -6,12 +6,16 @@
  * @module SplitFlap
  */
 
+const EventEmitter = require('events');
+
+const { CancelError } = require('./Stepper');
+
 /**
  * Represents a split-flap display.
  *
  * @alias module:SplitFlap
  */
-class SplitFlap {
+class SplitFlap extends EventEmitter {
     /**
      * Initializes a split-flap display with the given stepper.
      *
@@ -23,6 +27,8 @@ class SplitFlap {
      * @param {number} period - Time one full rotation should take.
      */
     constructor(stepper, flaps, totalFlaps, period) {
+        super();
+
         if (period <= 0) {
             throw new Error('Period must be positive');
         }
@@ -82,7 +88,23 @@ class SplitFlap {
                  * @private
                  * @type {number}
                  */
-                _flapIndex: { value: 0, writable: true }
+                _flapIndex: { value: 0, writable: true },
+
+                /**
+                 * The latest move to be queued. Never rejects.
+                 *
+                 * @private
+                 * @type {Promise}
+                 */
+                latestMove: { value: Promise.resolve(), writable: true },
+
+                /**
+                 * Incremented to cancel all moves queued so far.
+                 *
+                 * @private
+                 * @type {number}
+                 */
+                generation: { value: 0, writable: true }
             }
         );
     }
@@ -97,48 +119,237 @@ class SplitFlap {
         return this.flaps[this._flapIndex];
     }
 
+    /**
+     * Gets the index of the given flap.
+     *
+     * @private
+     * @param {string} flap - The flap.
+     * @throws {Error} The flap must be one of `this.flaps`.
+     * @returns {number} The flap's index.
+     */
+    indexOf(flap) {
+        if (!(flap in this.flapIndices)) {
+            throw new Error(`Unknown flap "${flap}"`);
+        }
+
+        return this.flapIndices[flap];
+    }
+
+    /**
+     * Gets the stepper position at which the given flap is displayed.
+     *
+     * @private
+     * @param {number} index - The flap's index.
+     * @returns {number} The stepper position.
+     */
+    stepOf(index) {
+        return index / this.totalFlaps * this.stepper.totalSteps;
+    }
+
+    /**
+     * Checks if the stepper is at the position the given flap is displayed
+     * at, to within a step.
+     *
+     * @private
+     * @param {number} index - The flap's index.
+     * @returns {boolean} `true` if the stepper is at the flap.
+     */
+    isAt(index) {
+        const { totalSteps, currentStep } = this.stepper;
+        const offset = Math.abs(currentStep - this.stepOf(index));
+        return Math.min(offset, totalSteps - offset) < 1;
+    }
+
+    /**
+     * Updates the current flap after a move was cancelled partway, to the
+     * last flap the stepper passed.
+     *
+     * @private
+     * @emits module:SplitFlap#flap
+     */
+    settle() {
+        const { totalSteps, currentStep } = this.stepper;
+        const passed = Math.floor(
+            (currentStep + 0.5) / totalSteps * this.totalFlaps
+        );
+
+        // Flaps past the last one configured are not displayed otherwise.
+        this._flapIndex = Math.min(passed, this.flaps.length - 1);
+        this.emit('flap', this.currentFlap);
+    }
+
+    /**
+     * Steps the stepper, settling on the flap it stops at if cancelled.
+     *
+     * @private
+     * @param {number} steps - The number of steps.
+     * @param {number} duration - How long stepping should take, in seconds.
+     * @throws {module:Stepper.CancelError} The move must not be cancelled.
+     */
+    async step(steps, duration) {
+        try {
+            await this.stepper.step(steps, duration);
+        } catch (err) {
+            this.settle();
+            throw err;
+        }
+    }
+
+    /**
+     * Runs a move once every move queued before it has finished, so that
+     * only one move at a time works out where the stepper is.
+     *
+     * @param {Function} move - Starts the move, returning a promise.
+     * @returns {Promise} Resolves or rejects as the move does, or rejects
+     * with a [`CancelError`]{@link module:Stepper.CancelError} if the move is
+     * cancelled before it starts.
+     */
+    queue(move) {
+        const { generation } = this;
+        const queued = this.latestMove.then(() => {
+            if (generation !== this.generation) {
+                throw new CancelError(this.stepper.currentStep);
+            }
+
+            return move();
+        });
+
+        this.latestMove = queued.catch(() => null);
+        return queued;
+    }
+
+    /**
+     * Waits for all moves queued so far to finish.
+     *
+     * @returns {Promise} Resolves when the display is idle.
+     */
+    idle() {
+        return this.latestMove;
+    }
+
+    /**
+     * Cancels all moves queued so far. The current move stops after its
+     * current step, and the rest never start.
+     *
+     * @returns {Promise} Resolves when the display is idle.
+     */
+    cancel() {
+        this.generation++;
+        this.stepper.cancel();
+        return this.idle();
+    }
+
+    /**
+     * Estimates how many steps moving to the given flap would take. The
+     * stepper only moves forward, so moving to an earlier flap takes most of
+     * a rotation.
+     *
+     * @param {string} flap - The flap.
+     * @throws {Error} The flap must be one of `this.flaps`.
+     * @returns {number} The number of steps.
+     */
+    stepsTo(flap) {
+        const { totalSteps, currentStep: start } = this.stepper;
+        const end = this.stepOf(this.indexOf(flap));
+
+        return end < start
+            ? (totalSteps - start + end)
+            : (end - start);
+    }
+
+    /**
+     * Calibrates the display, without moving the stepper.
+     *
+     * @emits module:SplitFlap#flap
+     *
+     * @param {string} flap - The flap currently displayed.
+     * @param {number?} [step] - The stepper's current position. Defaults to
+     * the position at which `flap` is displayed.
+     */
+    calibrate(flap, step = null) {
+        const index = this.indexOf(flap);
+
+        this.stepper.calibrate(step === null ? this.stepOf(index) : step);
+        this._flapIndex = index;
+        this.emit('flap', flap);
+    }
+
     /**
      * Sets the displayed flap.
      *
+     * @emits module:SplitFlap#move
+     * @emits module:SplitFlap#flap
+     *
      * @param {string} flap - The flap to display.
      * @param {boolean} noStep - `true` to not move the stepper, but calibrates
      * it instead.
-     * @returns {Promise} Resolves when the flap is displayed.
+     * @returns {Promise} Resolves when the flap is displayed, once earlier
+     * moves have finished, or rejects with a
+     * [`CancelError`]{@link module:Stepper.CancelError} if the move is
+     * cancelled.
      */
     async setFlap(flap, noStep) {
-        const { totalFlaps, flapIndices, period, stepper } = this;
-        const { totalSteps } = stepper;
-        if (!(flap in flapIndices)) {
-            throw new Error(`Unknown flap "${flap}"`);
-        }
-        const endIndex = flapIndices[flap];
-        if (endIndex === this._flapIndex) {
+        // Rejects unknown flaps without waiting for earlier moves.
+        this.indexOf(flap);
+
+        const queued = Date.now();
+        return this.queue(() => this.moveTo(flap, noStep, queued));
+    }
+
+    /**
+     * Moves to the given flap from wherever the stepper is now.
+     *
+     * @private
+     * @emits module:SplitFlap#move
+     * @emits module:SplitFlap#flap
+     *
+     * @param {string} flap - The flap to display.
+     * @param {boolean} noStep - `true` to calibrate instead of moving.
+     * @param {number} queued - When the move was queued, in milliseconds
+     * since the epoch.
+     * @throws {module:Stepper.CancelError} The move must not be cancelled.
+     */
+    async moveTo(flap, noStep, queued) {
+        const { period, stepper } = this;
+        const endIndex = this.indexOf(flap);
+        if (endIndex === this._flapIndex && this.isAt(endIndex)) {
             return;
         }
 
-        const end = endIndex / totalFlaps * totalSteps;
-
         if (noStep) {
-            this.stepper.calibrate(end);
-            this._flapIndex = endIndex;
+            this.calibrate(flap);
             return;
         }
 
-        const start = stepper.currentStep;
-
-        const steps = end < start
-            ? (totalSteps - start + end)
-            : (end - start);
+        const steps = this.stepsTo(flap);
 
         // TODO move min duration somewhere
-        const duration = Math.max(1.0, steps / totalSteps * period);
+        const duration = Math.max(1.0, steps / stepper.totalSteps * period);
 
-        await stepper.step(steps, duration);
+        await this.step(steps, duration);
         this._flapIndex = endIndex;
-
-        return void null;
+        this.emit('move', { flap, steps, elapsed: Date.now() - queued });
+        this.emit('flap', flap);
     }
 }
 
+/**
+ * Flap change event, emitted with the new flap once it is displayed.
+ *
+ * @event module:SplitFlap#flap
+ * @type {string}
+ */
+
+/**
+ * Move event, emitted once `setFlap()` has moved the stepper to a new flap.
+ *
+ * @event module:SplitFlap#move
+ * @type {Object}
+ * @property {string} flap - The new flap.
+ * @property {number} steps - The number of steps moved.
+ * @property {number} elapsed - How long the move took, including any wait for
+ * earlier moves, in milliseconds.
+ */
+
 module.exports = SplitFlap;
 
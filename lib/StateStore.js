@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Library for persisting state to a JSON file.
+ *
+ * @module StateStore
+ */
+
+const fs = require('fs');
+const { promisify } = require('util');
+
+const writeFilePromise = promisify(fs.writeFile);
+const renamePromise = promisify(fs.rename);
+
+/**
+ * Represents a JSON state file.
+ *
+ * Writes go to a temporary file which then replaces the state file, so that
+ * a crash mid-write never leaves a truncated state file behind.
+ *
+ * @alias module:StateStore
+ */
+class StateStore {
+    /**
+     * Initializes the state store.
+     *
+     * @param {string} file - Path to the state file.
+     */
+    constructor(file) {
+        Object.defineProperties(this,
+            /** @lends module:StateStore.prototype */
+            {
+                /**
+                 * Path to the state file.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                file: { value: file },
+
+                /**
+                 * Path to the temporary file written before replacing the
+                 * state file.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {string}
+                 */
+                tmpFile: { value: `${file}.tmp` },
+
+                /**
+                 * The latest write to be issued.
+                 *
+                 * @private
+                 * @type {Promise}
+                 */
+                latestWrite: { value: Promise.resolve(), writable: true }
+            }
+        );
+    }
+
+    /**
+     * Loads the state.
+     *
+     * @throws {Error} The state file must be readable and contain valid JSON,
+     * if it exists.
+     * @returns {Object} The state, or an empty object if there is no state
+     * file.
+     */
+    load() {
+        let data;
+        try {
+            data = fs.readFileSync(this.file, 'utf-8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return {};
+            }
+
+            throw err;
+        }
+
+        return JSON.parse(data);
+    }
+
+    /**
+     * Saves the state. Writes are performed in the order they are issued.
+     *
+     * @param {Object} state - The state to save.
+     * @returns {Promise} Resolves when the state has been saved, or rejects
+     * with an error.
+     */
+    save(state) {
+        const data = JSON.stringify(state, null, 4);
+        const { file, tmpFile } = this;
+
+        const write = this.latestWrite.then(async() => {
+            await writeFilePromise(tmpFile, data);
+            await renamePromise(tmpFile, file);
+        });
+
+        // Later writes proceed regardless of whether this one failed.
+        this.latestWrite = write.catch(() => null);
+        return write;
+    }
+}
+
+Object.freeze(StateStore);
+module.exports = StateStore;
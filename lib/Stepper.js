@@ -116,6 +116,23 @@ const STEP_PINS = Object.freeze([
     [1, 0, 0, 1]
 ].map(Object.freeze));
 
+/**
+ * Error with which cancelled commands reject.
+ *
+ * @private
+ */
+class CancelError extends Error {
+    /**
+     * Initializes the error.
+     *
+     * @param {number} step - The step at which the command was cancelled.
+     */
+    constructor(step) {
+        super(`Command cancelled at step ${step}`);
+        this.name = 'CancelError';
+    }
+}
+
 /**
  * Represents a stepper motor.
  *
@@ -175,13 +192,45 @@ class Stepper extends EventEmitter {
                 gpios: { value: gpios },
 
                 /**
-                 * The latest command to be issued.
+                 * The latest command to be issued. Never rejects.
                  *
                  * @private
                  * @type {Promise}
                  */
                 latestCommand: { value: Promise.resolve(), writable: true },
 
+                /**
+                 * Incremented to cancel all commands issued so far.
+                 *
+                 * @private
+                 * @type {number}
+                 */
+                generation: { value: 0, writable: true },
+
+                /**
+                 * The total number of steps taken.
+                 *
+                 * @private
+                 * @type {number}
+                 */
+                _stepsTaken: { value: 0, writable: true },
+
+                /**
+                 * The command currently running.
+                 *
+                 * @private
+                 * @type {Object?}
+                 */
+                _activeCommand: { value: null, writable: true },
+
+                /**
+                 * `true` if the GPIO pins have been closed.
+                 *
+                 * @private
+                 * @type {boolean}
+                 */
+                closed: { value: false, writable: true },
+
                 /**
                  * Current step number. Ranges from 0 (inclusive) to
                  * `this.totalSteps` (exclusive).
@@ -205,6 +254,29 @@ class Stepper extends EventEmitter {
         return this._currentStep;
     }
 
+    /**
+     * The total number of steps taken, in either direction.
+     *
+     * @readonly
+     * @type {number}
+     */
+    get stepsTaken() {
+        return this._stepsTaken;
+    }
+
+    /**
+     * The command currently running, if any.
+     *
+     * @readonly
+     * @type {Object?}
+     * @property {Date} started - When the command started running.
+     * @property {number} duration - How long the command should take, in
+     * seconds.
+     */
+    get activeCommand() {
+        return this._activeCommand;
+    }
+
     /**
      * Calibrates the stepper's current position.
      *
@@ -242,12 +314,15 @@ class Stepper extends EventEmitter {
      * Commands the motor to step the given number of steps.
      *
      * @emits module:Stepper#step
+     * @emits module:Stepper#finish
      *
      * @param {number} steps - The number of steps. A negative value causes the
      * motor to step backwards.
      * @param {number} duration - The amount of time it should take for this
      * command to complete, in seconds.
-     * @returns {Promise} Resolves when this command completes.
+     * @returns {Promise} Resolves when this command completes, or rejects
+     * with a [`CancelError`]{@link module:Stepper.CancelError} if it is
+     * cancelled.
      */
     step(steps, duration) {
         // Direction to step.
@@ -259,16 +334,23 @@ class Stepper extends EventEmitter {
         // Interval between steps, in nanoseconds.
         const dt = duration * NS_PER_S / total;
 
+        const { generation } = this;
+        const previous = this.latestCommand;
+
         const command = (async function queueCommand() {
-            await this.latestCommand;
-            this.latestCommand = command;
+            await previous;
+            const start = process.hrtime();
+            this._activeCommand = { started: new Date(), duration };
 
+            // Stops early if cancelled.
+            let numSteps = 0;
             for (
-                let numSteps = 0, tStep = Date.now();
-                numSteps < total;
+                let tStep = Date.now();
+                numSteps < total && generation === this.generation;
                 await setTimeoutNS(dt)
             ) {
                 numSteps++;
+                this._stepsTaken++;
                 this._currentStep = stepMod(
                     this._currentStep,
                     direction,
@@ -285,19 +367,78 @@ class Stepper extends EventEmitter {
 
             }
 
-            this.stopMotor();
-
-            // Emit the final event.
-            this.emit('step', this._currentStep);
+            this.finishCommand(numSteps, total, duration, start);
         }.bind(this)());
 
+        this.latestCommand = command.catch(() => null);
         return command;
     }
 
     /**
-     * Closes the stepper's associated GPIO pins.
+     * Stops the motor after a command and emits the final events.
+     *
+     * @private
+     * @emits module:Stepper#step
+     * @emits module:Stepper#finish
+     *
+     * @param {number} numSteps - The number of steps taken.
+     * @param {number} total - The number of steps commanded.
+     * @param {number} duration - The command's duration, in seconds.
+     * @param {number[]} start - When the command started, as returned by
+     * `process.hrtime()`.
+     * @throws {module:Stepper.CancelError} All commanded steps must have been
+     * taken.
+     */
+    finishCommand(numSteps, total, duration, start) {
+        this._activeCommand = null;
+        this.stopMotor();
+
+        this.emit('step', this._currentStep);
+
+        const [s, ns] = process.hrtime(start);
+        this.emit('finish', {
+            steps: numSteps,
+            duration: total ? duration * numSteps / total : 0,
+            elapsed: s + ns / NS_PER_S
+        });
+
+        if (numSteps < total) {
+            throw new CancelError(this._currentStep);
+        }
+    }
+
+    /**
+     * Waits for all commands issued so far to finish.
+     *
+     * @returns {Promise} Resolves when the motor is idle.
+     */
+    idle() {
+        return this.latestCommand;
+    }
+
+    /**
+     * Cancels all commands issued so far. The current command stops after its
+     * current step, and leaves the motor turned off.
+     *
+     * @returns {Promise} Resolves when the motor is idle.
+     */
+    cancel() {
+        this.generation++;
+        return this.idle();
+    }
+
+    /**
+     * Turns the motor off and closes the stepper's associated GPIO pins. Has
+     * no effect if they are already closed.
      */
     close() {
+        if (this.closed) {
+            return;
+        }
+
+        this.stopMotor();
+        this.closed = true;
+
         if (!(this.gpios instanceof Array)) {
             return;
         }
@@ -308,6 +449,14 @@ class Stepper extends EventEmitter {
     }
 }
 
+/**
+ * Error with which cancelled commands reject.
+ *
+ * @readonly
+ * @type {Function}
+ */
+Stepper.CancelError = CancelError;
+
 /**
  * Step position change event.
  *
@@ -315,6 +464,18 @@ class Stepper extends EventEmitter {
  * @type {number}
  */
 
+/**
+ * Command completion event, emitted when a command finishes or is cancelled.
+ *
+ * @event module:Stepper#finish
+ * @type {Object}
+ * @property {number} steps - The number of steps taken.
+ * @property {number} duration - How long taking those steps should have
+ * taken, in seconds.
+ * @property {number} elapsed - How long taking those steps actually took, in
+ * seconds.
+ */
+
 Object.freeze(Stepper);
 module.exports = Stepper;
 
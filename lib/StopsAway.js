@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Library for counting how many stops away predicted buses are.
+ *
+ * @module StopsAway
+ */
+
+/**
+ * The most vehicle or pattern IDs the API accepts in one request.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MAX_IDS_PER_REQUEST = 10;
+
+/**
+ * Splits IDs into groups small enough to request together, leaving out
+ * duplicates.
+ *
+ * @private
+ * @param {Array} ids - The IDs.
+ * @returns {Array<Array>} The groups of IDs.
+ */
+function chunkIds(ids) {
+    const unique = Array.from(new Set(ids));
+    const chunks = [];
+    for (let i = 0; i < unique.length; i += MAX_IDS_PER_REQUEST) {
+        chunks.push(unique.slice(i, i + MAX_IDS_PER_REQUEST));
+    }
+
+    return chunks;
+}
+
+/**
+ * Counts how many stops away predicted buses are, from the positions of the
+ * vehicles along their patterns. Patterns rarely change, so each is only
+ * requested once.
+ *
+ * @alias module:StopsAway
+ */
+class StopsAway {
+    /**
+     * Initializes the counter.
+     *
+     * @param {module:BusTime/Client} client - The BusTime client.
+     */
+    constructor(client) {
+        Object.defineProperties(this,
+            /** @lends module:StopsAway.prototype */
+            {
+                /**
+                 * The BusTime client.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {module:BusTime/Client}
+                 */
+                client: { value: client },
+
+                /**
+                 * The patterns requested so far, by ID.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Map<number, module:BusTime/Pattern>}
+                 */
+                patterns: { value: new Map() }
+            }
+        );
+    }
+
+    /**
+     * Requests the patterns not requested yet.
+     *
+     * @private
+     * @param {number[]} pids - The pattern IDs.
+     */
+    async loadPatterns(pids) {
+        const missing = pids.filter(pid => !this.patterns.has(pid));
+        const results = await Promise.all(chunkIds(missing).map(chunk => {
+            return this.client.getPatterns({ pid: chunk });
+        }));
+
+        results.forEach(patterns => patterns.forEach(pattern => {
+            this.patterns.set(pattern.pid, pattern);
+        }));
+    }
+
+    /**
+     * Requests the vehicles with the given IDs.
+     *
+     * @private
+     * @param {string[]} vids - The vehicle IDs.
+     * @returns {Promise} Resolves with an array of
+     * [`Vehicle`s]{@link module:BusTime/Vehicle}, or rejects with an error.
+     */
+    async loadVehicles(vids) {
+        const results = await Promise.all(chunkIds(vids).map(chunk => {
+            return this.client.getVehicles({ vid: chunk });
+        }));
+
+        return results.reduce((all, vehicles) => all.concat(vehicles), []);
+    }
+
+    /**
+     * Counts how many stops away each prediction's bus is.
+     *
+     * @param {module:BusTime/Prediction[]} prds - The predictions. Their
+     * vehicles and patterns are requested up to 10 at a time.
+     * @returns {Promise} Resolves with a `Map` from predictions to the number
+     * of stops their buses have left to reach the predicted stop (see
+     * [`Pattern#stopsAway()`]{@link module:BusTime/Pattern#stopsAway}),
+     * leaving out those whose buses could not be located, or rejects with an
+     * error.
+     */
+    async count(prds) {
+        const counts = new Map();
+        const vehicles = await this.loadVehicles(prds.map(prd => prd.vid));
+        await this.loadPatterns(vehicles.map(vehicle => vehicle.pid));
+
+        prds.forEach(prd => {
+            const vehicle = vehicles.find(({ vid }) => vid === prd.vid);
+            const pattern = vehicle && this.patterns.get(vehicle.pid);
+            const stops = pattern
+                ? pattern.stopsAway(prd.stpid, vehicle.pdist)
+                : null;
+            if (stops !== null) {
+                counts.set(prd, stops);
+            }
+        });
+
+        return counts;
+    }
+}
+
+Object.freeze(StopsAway);
+module.exports = StopsAway;
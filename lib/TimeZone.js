@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Library for converting between instants and local times in a time zone.
+ *
+ * @module TimeZone
+ */
+
+/**
+ * Represents an IANA time zone.
+ *
+ * @alias module:TimeZone
+ */
+class TimeZone {
+    /**
+     * Initializes the time zone.
+     *
+     * @param {string?} [name] - IANA name of the time zone. Defaults to the
+     * system time zone.
+     * @throws {RangeError} The time zone must exist.
+     */
+    constructor(name = null) {
+        const options = {
+            hour12: false,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        };
+        if (name) {
+            options.timeZone = name;
+        }
+
+        const formatter = new Intl.DateTimeFormat('en-US', options);
+
+        Object.defineProperties(this,
+            /** @lends module:TimeZone.prototype */
+            {
+                /**
+                 * IANA name of the time zone.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                name: { value: formatter.resolvedOptions().timeZone },
+
+                /**
+                 * Formatter for local times in the time zone.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Intl.DateTimeFormat}
+                 */
+                formatter: { value: formatter }
+            }
+        );
+    }
+
+    /**
+     * Gets the local time in the time zone.
+     *
+     * @param {Date} date - The date.
+     * @returns {Object} The local `year`, `month` (1 to 12), `day`, `hour`,
+     * `minute` and `second`.
+     */
+    localTime(date) {
+        const local = {};
+        this.formatter.formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') {
+                local[type] = Number.parseInt(value, 10);
+            }
+        });
+
+        // Some implementations format midnight as hour 24.
+        local.hour %= 24;
+
+        const { year, month, day, hour, minute, second } = local;
+        return { year, month, day, hour, minute, second };
+    }
+
+    /**
+     * Gets the time zone's UTC offset at the given time.
+     *
+     * @param {number} ms - The time, in milliseconds since the epoch.
+     * @returns {number} The offset, in milliseconds.
+     */
+    offset(ms) {
+        const {
+            year, month, day, hour, minute, second
+        } = this.localTime(new Date(ms));
+
+        const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+        return wall - (ms - ms % 1000);
+    }
+
+    /**
+     * Converts a local wall-clock time in the time zone to a time since the
+     * epoch. Local times skipped by a DST change resolve forward to the
+     * instant the change happens at.
+     *
+     * @param {number} wall - The local time, in milliseconds since the epoch
+     * as if the time zone were UTC (e.g. from `Date.UTC()`).
+     * @returns {number} The time, in milliseconds since the epoch.
+     */
+    toTime(wall) {
+        const guess = wall - this.offset(wall);
+        const time = wall - this.offset(guess);
+        if (time + this.offset(time) === wall) {
+            return time;
+        }
+
+        // Skipped: the offset changes between the two candidates.
+        return this.transition(Math.min(time, guess), Math.max(time, guess));
+    }
+
+    /**
+     * Finds the instant the time zone's UTC offset changes at.
+     *
+     * @private
+     * @param {number} before - A time before the change, in milliseconds
+     * since the epoch.
+     * @param {number} after - A time after the change, with a different
+     * offset.
+     * @returns {number} The first time with the new offset.
+     */
+    transition(before, after) {
+        const offset = this.offset(after);
+        let lo = before;
+        let hi = after;
+        while (hi - lo > 1) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (this.offset(mid) === offset) {
+                hi = mid;
+            } else {
+                lo = mid;
+            }
+        }
+
+        return hi;
+    }
+}
+
+Object.freeze(TimeZone);
+module.exports = TimeZone;
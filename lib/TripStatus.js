@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Library for handling canceled, expressed and delayed trips.
+ *
+ * @module TripStatus
+ */
+
+const Prediction = require('./BusTime/Prediction');
+
+/**
+ * The blank flap.
+ *
+ * @private
+ * @readonly
+ * @type {string}
+ */
+const BLANK_FLAP = '_';
+
+/**
+ * Default status flaps.
+ *
+ * @private
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const DEFAULT_FLAPS = Object.freeze({
+    canceled: 'CXL',
+    delayed: 'DLY'
+});
+
+/**
+ * Checks that an option is one of the accepted values.
+ *
+ * @private
+ * @param {string} name - The option's name.
+ * @param {string} value - The option's value.
+ * @param {string[]} accepted - The accepted values.
+ * @throws {Error} The value must be accepted.
+ * @returns {string} The value.
+ */
+function checkOption(name, value, accepted) {
+    if (!accepted.includes(value)) {
+        throw new Error(
+            `Trip status "${name}" must be one of ${accepted.join(', ')}`
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Represents how a board handles trips whose predictions carry a status:
+ * canceled trips (`dyn` 1) and expressed, drop-off only trips (`dyn` 4) may
+ * be dropped or shown, and canceled or delayed (`dly`) trips are flagged on
+ * each row's `status` module, if it has one.
+ *
+ * @alias module:TripStatus
+ */
+class TripStatus {
+    /**
+     * Initializes the trip status handling.
+     *
+     * @param {Object} [cfg] - Trip status configuration.
+     * @param {string} [cfg.canceled='drop'] - `drop` to leave canceled trips
+     * off the board, or `flag` to show them with the `canceled` flap.
+     * @param {string} [cfg.expressed='drop'] - `drop` to leave expressed
+     * trips off the board, or `show` to show them like any other.
+     * @param {Object<string, string>} [cfg.flaps] - The `canceled` and
+     * `delayed` flaps of the status modules. Default to `CXL` and `DLY`.
+     * @throws {Error} The configuration must be valid.
+     */
+    constructor(cfg = {}) {
+        const { canceled = 'drop', expressed = 'drop' } = cfg;
+
+        Object.defineProperties(this,
+            /** @lends module:TripStatus.prototype */
+            {
+                /**
+                 * `drop` or `flag` canceled trips.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                canceled: {
+                    value: checkOption('canceled', canceled, ['drop', 'flag'])
+                },
+
+                /**
+                 * `drop` or `show` expressed trips.
+                 *
+                 * @readonly
+                 * @type {string}
+                 */
+                expressed: {
+                    value: checkOption('expressed', expressed, ['drop', 'show'])
+                },
+
+                /**
+                 * The `canceled` and `delayed` flaps.
+                 *
+                 * @readonly
+                 * @type {Object<string, string>}
+                 */
+                flaps: {
+                    value: Object.freeze(
+                        Object.assign({}, DEFAULT_FLAPS, cfg.flaps)
+                    )
+                }
+            }
+        );
+    }
+
+    /**
+     * Tests whether a prediction should be shown.
+     *
+     * @param {module:BusTime/Prediction} prd - The prediction.
+     * @returns {boolean} `true` if the prediction should be shown; `false`
+     * otherwise.
+     */
+    test(prd) {
+        switch (prd.dyn) {
+            case Prediction.DYN.CANCELED:
+                return this.canceled === 'flag';
+            case Prediction.DYN.EXPRESSED:
+                return this.expressed === 'show';
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Drops the predictions that should not be shown.
+     *
+     * @param {module:BusTime/Prediction[]} prds - The predictions.
+     * @returns {module:BusTime/Prediction[]} The predictions to show, in their
+     * original order.
+     */
+    apply(prds) {
+        return prds.filter(prd => this.test(prd));
+    }
+
+    /**
+     * Gets the flap a status module should show for a prediction.
+     *
+     * @param {module:BusTime/Prediction?} prd - The prediction, or `null` for
+     * a blank row.
+     * @returns {string} The `canceled` flap for canceled trips, the `delayed`
+     * flap for delayed ones, or the blank flap otherwise.
+     */
+    flap(prd) {
+        if (prd && prd.dyn === Prediction.DYN.CANCELED) {
+            return this.flaps.canceled;
+        }
+
+        return prd && prd.dly ? this.flaps.delayed : BLANK_FLAP;
+    }
+}
+
+Object.freeze(TripStatus);
+module.exports = TripStatus;
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Library for deciding which time flap changes are worth the motor movement.
+ *
+ * @module UpdatePolicy
+ */
+
+/**
+ * Represents a policy for updating time displays.
+ *
+ * Split-flap displays only move forward, so a countdown that goes up (e.g.
+ * from 4 to 5 minutes) costs most of a rotation. The policy estimates the
+ * step cost of every update, and holds the flap shown instead of making
+ * small backward corrections or changes too small to be worth the noise.
+ * Changes of bus, and blanking, always go through.
+ *
+ * Holding is also as close as rounding could get: with flaps in time order,
+ * those between the current and wanted flaps are behind the current one as
+ * well, so no flap cheaper to reach is nearer the wanted time.
+ *
+ * @alias module:UpdatePolicy
+ */
+class UpdatePolicy {
+    /**
+     * Initializes the policy.
+     *
+     * @param {Object} [cfg] - Policy configuration.
+     * @param {number} [cfg.minChange=1] - The smallest change in minutes worth
+     * moving forward for.
+     * @param {number} [cfg.hysteresis=2] - The largest increase in minutes to
+     * hold instead of correcting with a backward move.
+     * @param {number?} [cfg.maxSteps] - Moves costing more steps than this
+     * count as backward moves. Defaults to half a rotation.
+     */
+    constructor(cfg = {}) {
+        const { minChange = 1, hysteresis = 2, maxSteps = null } = cfg;
+
+        Object.defineProperties(this,
+            /** @lends module:UpdatePolicy.prototype */
+            {
+                /**
+                 * The smallest change in minutes worth moving forward for.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                minChange: { value: minChange },
+
+                /**
+                 * The largest increase in minutes held instead of corrected.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                hysteresis: { value: hysteresis },
+
+                /**
+                 * Moves costing more steps than this count as backward moves,
+                 * or `null` for half a rotation.
+                 *
+                 * @readonly
+                 * @type {number?}
+                 */
+                maxSteps: { value: maxSteps }
+            }
+        );
+    }
+
+    /**
+     * Decides which flap a time display should move to.
+     *
+     * @param {module:SplitFlap} splitFlap - The time display.
+     * @param {string} flap - The flap the latest prediction calls for.
+     * @param {boolean} sameBus - `true` if the display is showing the same bus
+     * as the latest prediction, so that a small correction may be held.
+     * @returns {Object} The `flap` to move to, the number of `steps` that
+     * takes, and whether the update was `held`, along with the `wanted` flap
+     * and how many steps it would have taken (`wantedSteps`).
+     */
+    decide(splitFlap, flap, sameBus) {
+        const { currentFlap } = splitFlap;
+        const wantedSteps = splitFlap.stepsTo(flap);
+        const decision = {
+            flap, steps: wantedSteps, held: false, wanted: flap, wantedSteps
+        };
+
+        const current = Number.parseFloat(currentFlap);
+        const wanted = Number.parseFloat(flap);
+        if (!sameBus || flap === currentFlap
+            || Number.isNaN(current) || Number.isNaN(wanted)) {
+            return decision;
+        }
+
+        const maxSteps = this.maxSteps === null
+            ? splitFlap.stepper.totalSteps / 2
+            : this.maxSteps;
+        const change = Math.abs(wanted - current);
+        const hold = wantedSteps > maxSteps
+            ? change <= this.hysteresis
+            : change < this.minChange;
+
+        if (hold) {
+            decision.flap = currentFlap;
+            decision.steps = 0;
+            decision.held = true;
+        }
+
+        return decision;
+    }
+}
+
+Object.freeze(UpdatePolicy);
+module.exports = UpdatePolicy;
@@ -0,0 +1,1065 @@
+'use strict';
+
+/**
+ * Library for keeping the display up to date with BusTime predictions.
+ *
+ * @module Updater
+ */
+
+const EventEmitter = require('events');
+
+const BusTimeClient = require('./BusTime/Client');
+const BusTimeError = require('./BusTime/BusTimeError');
+const Clock = require('./Clock');
+const Page = require('./Page');
+const PollStrategy = require('./PollStrategy');
+const Schedule = require('./Schedule');
+const StopsAway = require('./StopsAway');
+const TripStatus = require('./TripStatus');
+const UpdatePolicy = require('./UpdatePolicy');
+
+/**
+ * The blank flap. Every module must have one.
+ *
+ * @private
+ * @readonly
+ * @type {string}
+ */
+const BLANK_FLAP = '_';
+
+/**
+ * The longest the updater sleeps before checking the schedule again, in
+ * milliseconds. This keeps timeouts within `setTimeout()`'s range and catches
+ * up with clock changes.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const MAX_SLEEP_TIMEOUT = 60 * 60 * 1000;
+
+/**
+ * The most predictions shown on a page, unless it is in leave-now mode.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const TOP_PREDICTIONS = 4;
+
+/**
+ * Default time each page is shown for when there are several, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_DWELL = 15;
+
+/**
+ * Default time predictions keep counting down after requests start failing,
+ * in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_GRACE = 3 * 60;
+
+/**
+ * Gets the given flap if the display has it, or the blank flap otherwise.
+ *
+ * @private
+ * @param {module:SplitFlap} splitFlap - The split flap display.
+ * @param {string} flap - The desired flap.
+ * @returns {string} The flap to display.
+ */
+function flapOrBlank(splitFlap, flap) {
+    return flap in splitFlap.flapIndices ? flap : BLANK_FLAP;
+}
+
+/**
+ * Gets the flap a time display should show for the given countdown, clamped
+ * to the largest time the display has.
+ *
+ * @private
+ * @param {module:SplitFlap} splitFlap - The time display.
+ * @param {number} mins - The countdown, in minutes.
+ * @returns {string} The flap to display.
+ */
+function timeFlap(splitFlap, mins) {
+    const max = Math.max(...splitFlap.flaps
+        .map(Number)
+        .filter(Number.isFinite)
+    );
+
+    return flapOrBlank(splitFlap, Math.min(mins, max).toString());
+}
+
+/**
+ * What a row's time display may show: the countdown in `minutes`, the bus's
+ * `distance` from the stop, or how many `stops` away it is.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const ROW_MODES = Object.freeze(['minutes', 'distance', 'stops']);
+
+/**
+ * Default distance shown by one step of a time display in `distance` mode, in
+ * feet: a quarter mile.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_DISTANCE_UNIT = 1320;
+
+/**
+ * Gets the flap a time display should show for a bus's distance from the
+ * stop.
+ *
+ * @private
+ * @param {module:SplitFlap} splitFlap - The time display.
+ * @param {number} feet - The distance, in feet.
+ * @param {Object} cfg - Distance configuration.
+ * @param {number} cfg.unit - The distance shown by one step, in feet.
+ * @param {Array<Array>?} cfg.bands - `[maxFeet, flap]` bands, from nearest
+ * to farthest, used instead of `unit` if given.
+ * @returns {string} The flap to display; blank beyond the last band.
+ */
+function distanceFlap(splitFlap, feet, { unit, bands }) {
+    if (!bands) {
+        return timeFlap(splitFlap, Math.floor(feet / unit));
+    }
+
+    const band = bands.find(([max]) => feet <= max);
+    return band ? flapOrBlank(splitFlap, band[1]) : BLANK_FLAP;
+}
+
+/**
+ * Resolves what each row's time display shows.
+ *
+ * @private
+ * @param {string[]} [modes=[]] - The rows' modes; see `ROW_MODES`. Rows
+ * without one show `minutes`.
+ * @param {number} numRows - The number of display rows.
+ * @throws {Error} The modes must be known.
+ * @returns {string[]} The modes, indexed by row.
+ */
+function resolveRowModes(modes = [], numRows) {
+    return Object.freeze(Array.from({ length: numRows }, (x, i) => {
+        const mode = modes[i] || 'minutes';
+        if (!ROW_MODES.includes(mode)) {
+            throw new Error(`Row ${i}: unknown mode "${mode}"`);
+        }
+
+        return mode;
+    }));
+}
+
+/**
+ * Identifies the bus a prediction is for.
+ *
+ * @private
+ * @param {module:BusTime/Prediction} prd - The prediction.
+ * @returns {string} The bus's route and vehicle ID.
+ */
+function busOf(prd) {
+    return `${prd.rt}/${prd.vid}`;
+}
+
+/**
+ * Resolves the pages of predictions to show. Without any `pages`, the
+ * top-level `stpid` and `filter` make up the only page.
+ *
+ * @private
+ * @param {Object} cfg - Updater configuration.
+ * @param {number} numRows - The number of display rows.
+ * @throws {Error} The configuration must be valid.
+ * @returns {module:Page[]} The pages.
+ */
+function resolvePages(cfg, numRows) {
+    const { stpid, filter, pages = [{ stpid, filter }] } = cfg;
+    if (!(pages instanceof Array) || !pages.length) {
+        throw new Error('Expected at least one page');
+    }
+
+    return pages.map((pageCfg, i) => {
+        const named = Object.assign({ name: i.toString() }, pageCfg);
+        return new Page(named, numRows);
+    });
+}
+
+/**
+ * Keeps the display's rows up to date with BusTime predictions, sleeping
+ * according to the schedule.
+ *
+ * Between requests, the time displays count down locally to each
+ * prediction's arrival time. If requests fail, the latest predictions keep
+ * counting down for up to `grace` seconds before the display is blanked.
+ *
+ * With several pages, each is shown in turn for `dwell` seconds, and its
+ * predictions are requested again whenever they are due for a refresh.
+ *
+ * @alias module:Updater
+ */
+class Updater extends EventEmitter {
+    /**
+     * Initializes the updater. Call `start()` to start updating.
+     *
+     * @param {Object} cfg - Updater configuration, including the BusTime
+     * client options (see [`Client`]{@link module:BusTime/Client}).
+     * @param {string|string[]} [cfg.stpid] - Stop IDs to show, if there are
+     * no `pages`.
+     * @param {Object} [cfg.filter] - Prediction filter, if there are no
+     * `pages`; see [`Filter`]{@link module:BusTime/Filter}.
+     * @param {Object[]} [cfg.pages] - Page configurations; see
+     * [`Page`]{@link module:Page}.
+     * @param {number} [cfg.dwell=15] - How long each page is shown for, in
+     * seconds.
+     * @param {number} [cfg.grace=180] - How long predictions keep counting
+     * down after they were received while requests are failing, in seconds.
+     * @param {Object} [cfg.schedule] - Awake schedule configuration; see
+     * [`Schedule`]{@link module:Schedule}.
+     * @param {Object} [cfg.policy] - Time display update policy
+     * configuration; see [`UpdatePolicy`]{@link module:UpdatePolicy}.
+     * @param {Object} [cfg.polling] - Polling strategy configuration; see
+     * [`PollStrategy`]{@link module:PollStrategy}.
+     * @param {string[]} [cfg.rowModes] - What each row's time display shows:
+     * the countdown in `minutes` (the default), the bus's `distance` from the
+     * stop, or how many `stops` away it is. Distances and stops are as of
+     * the latest request, and only change when the page is polled again.
+     * @param {Object} [cfg.distance] - Distances shown in `distance` mode.
+     * @param {number} [cfg.distance.unit=1320] - The distance shown by one
+     * step of the time display, in feet.
+     * @param {Array<Array>} [cfg.distance.bands] - `[maxFeet, flap]` bands,
+     * from nearest to farthest, to show instead of units.
+     * @param {Object} [cfg.status] - Canceled, expressed and delayed trip
+     * handling; see [`TripStatus`]{@link module:TripStatus}.
+     * @param {Object|boolean} [cfg.clock] - Clock synchronization
+     * configuration; see [`Clock`]{@link module:Clock}.
+     * @param {Object<string, module:SplitFlap>[]} rows - The display rows,
+     * each mapping roles (`time`, `route` and optionally `status`) to
+     * split-flap displays.
+     * @param {module:RequestBudget?} [budget] - The daily request budget, or
+     * `null` for none. Every request made by the client counts against it.
+     * @throws {Error} The configuration must be valid.
+     */
+    constructor(cfg, rows, budget = null) {
+        super();
+
+        const client = new BusTimeClient(cfg);
+        const clock = new Clock(cfg.clock);
+        const rowModes = resolveRowModes(cfg.rowModes, rows.length);
+        const distance = Object.assign({
+            unit: DEFAULT_DISTANCE_UNIT,
+            bands: null
+        }, cfg.distance);
+        if (budget) {
+            // Each attempt counts, including those that are retried.
+            const record = () => {
+                this.requestCount++;
+                budget.record(clock.now());
+            };
+            client.on('request', record);
+            client.on('retry', record);
+        }
+
+        Object.defineProperties(this,
+            /** @lends module:Updater.prototype */
+            {
+                /**
+                 * The BusTime client.
+                 *
+                 * @readonly
+                 * @type {module:BusTime/Client}
+                 */
+                client: { value: client },
+
+                /**
+                 * The clock, kept in step with the API's. Schedule checks,
+                 * countdowns and the request budget go by its time.
+                 *
+                 * @readonly
+                 * @type {module:Clock}
+                 */
+                clock: { value: clock },
+
+                /**
+                 * The awake schedule.
+                 *
+                 * @readonly
+                 * @type {module:Schedule}
+                 */
+                schedule: { value: new Schedule(cfg.schedule) },
+
+                /**
+                 * The pages, shown in turn.
+                 *
+                 * @readonly
+                 * @type {module:Page[]}
+                 */
+                pages: { value: resolvePages(cfg, rows.length) },
+
+                /**
+                 * The display rows.
+                 *
+                 * @readonly
+                 * @type {Object<string, module:SplitFlap>[]}
+                 */
+                rows: { value: rows },
+
+                /**
+                 * The time display update policy.
+                 *
+                 * @readonly
+                 * @type {module:UpdatePolicy}
+                 */
+                policy: { value: new UpdatePolicy(cfg.policy) },
+
+                /**
+                 * The polling strategy.
+                 *
+                 * @readonly
+                 * @type {module:PollStrategy}
+                 */
+                poll: { value: new PollStrategy(cfg.polling) },
+
+                /**
+                 * The handling of canceled, expressed and delayed trips.
+                 *
+                 * @readonly
+                 * @type {module:TripStatus}
+                 */
+                status: { value: new TripStatus(cfg.status) },
+
+                /**
+                 * What each row's time display shows: `minutes`, `distance`
+                 * or `stops`.
+                 *
+                 * @readonly
+                 * @type {string[]}
+                 */
+                rowModes: { value: rowModes },
+
+                /**
+                 * The distance `unit` and `bands` shown in `distance` mode.
+                 *
+                 * @readonly
+                 * @type {Object}
+                 */
+                distance: { value: Object.freeze(distance) },
+
+                /**
+                 * Counts how many stops away buses are, if any row shows it.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {module:StopsAway?}
+                 */
+                stopsAway: {
+                    value: rowModes.includes('stops')
+                        ? new StopsAway(client)
+                        : null
+                },
+
+                /**
+                 * The daily request budget, if any.
+                 *
+                 * @readonly
+                 * @type {module:RequestBudget?}
+                 */
+                budget: { value: budget },
+
+                /**
+                 * How long each page is shown for, in milliseconds.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                dwell: { value: (cfg.dwell || DEFAULT_DWELL) * 1000 },
+
+                /**
+                 * How long predictions keep counting down while requests are
+                 * failing, in milliseconds.
+                 *
+                 * @readonly
+                 * @type {number}
+                 */
+                grace: {
+                    value: (typeof cfg.grace === 'number'
+                        ? cfg.grace
+                        : DEFAULT_GRACE) * 1000
+                },
+
+                /**
+                 * The predictions shown, or none while sleeping.
+                 *
+                 * @type {module:BusTime/Prediction[]}
+                 */
+                predictions: { value: [], writable: true },
+
+                /**
+                 * The `index` and `name` of the page shown, if any.
+                 *
+                 * @type {Object?}
+                 */
+                page: { value: null, writable: true },
+
+                /**
+                 * The `time` of the next update and whether the updater is
+                 * `sleeping` until then, or `null` if none is scheduled.
+                 *
+                 * @type {Object?}
+                 */
+                next: { value: null, writable: true },
+
+                /**
+                 * When the last successful request finished.
+                 *
+                 * @type {Date?}
+                 */
+                lastSuccess: { value: null, writable: true },
+
+                /**
+                 * The last request error.
+                 *
+                 * @type {Error?}
+                 */
+                lastError: { value: null, writable: true },
+
+                /**
+                 * When the last request error happened.
+                 *
+                 * @type {Date?}
+                 */
+                lastErrorTime: { value: null, writable: true },
+
+                /**
+                 * When the display last woke up, or `null` while sleeping.
+                 *
+                 * @type {Date?}
+                 */
+                awakeSince: { value: null, writable: true },
+
+                /**
+                 * `true` if updates are paused.
+                 *
+                 * @type {boolean}
+                 */
+                paused: { value: false, writable: true },
+
+                /**
+                 * The bus each row is showing, as returned by `busOf()`, or
+                 * `null` if blank.
+                 *
+                 * @private
+                 * @readonly
+                 * @type {Array<string?>}
+                 */
+                rowBuses: { value: rows.map(() => null) },
+
+                /**
+                 * Index of the page to show next.
+                 *
+                 * @private
+                 * @type {number}
+                 */
+                pageIndex: { value: 0, writable: true },
+
+                /**
+                 * The latest flap update, which the next update waits for.
+                 *
+                 * @private
+                 * @type {Promise}
+                 */
+                lastFlapUpdate: { value: null, writable: true },
+
+                /**
+                 * Timer for the next update.
+                 *
+                 * @private
+                 * @type {Timeout?}
+                 */
+                timer: { value: null, writable: true },
+
+                /**
+                 * The number of requests counted against the budget so far.
+                 *
+                 * @private
+                 * @type {number}
+                 */
+                requestCount: { value: 0, writable: true },
+
+                /**
+                 * The update in progress, if any.
+                 *
+                 * @private
+                 * @type {Promise?}
+                 */
+                running: { value: null, writable: true },
+
+                /**
+                 * `true` if updates have been stopped for good.
+                 *
+                 * @private
+                 * @type {boolean}
+                 */
+                stopped: { value: false, writable: true }
+            }
+        );
+    }
+
+    /**
+     * Starts updating.
+     *
+     * @returns {Promise} Resolves when the first update has finished.
+     */
+    start() {
+        return this.onTimeout();
+    }
+
+    /**
+     * Stops any further updates. Requests in progress are cancelled, and
+     * updates in progress will not move the flaps.
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.client.cancel();
+    }
+
+    /**
+     * Pauses updates, leaving the flaps as they are.
+     *
+     * @emits module:Updater#next
+     */
+    pause() {
+        this.paused = true;
+        clearTimeout(this.timer);
+        this.next = null;
+        this.emit('next', null);
+    }
+
+    /**
+     * Resumes updates, updating immediately.
+     *
+     * @returns {Promise} Resolves when the update has finished.
+     */
+    resume() {
+        this.paused = false;
+        return this.onTimeout();
+    }
+
+    /**
+     * Updates immediately, even if paused, requesting new predictions for
+     * every page as it is shown. If not paused, the next update is
+     * rescheduled from now.
+     *
+     * @returns {Promise} Resolves when the update has finished.
+     */
+    refresh() {
+        this.pages.forEach(page => page.invalidate());
+        return this.onTimeout();
+    }
+
+    /**
+     * Describes the predictions shown, with their countdowns as the display
+     * shows them.
+     *
+     * @param {Date} date - The current date.
+     * @returns {Object[]} Each prediction's fields, and its `countdown` in
+     * minutes.
+     */
+    describePredictions(date) {
+        const page = this.page && this.pages[this.page.index];
+        return this.predictions.map(prd => Object.assign(prd.toJSON(), {
+            countdown: page ? page.countdown(prd, date) : prd.prdctdn
+        }));
+    }
+
+    /**
+     * Determines if the updater should be sleeping.
+     *
+     * @param {Date} date - The date to check.
+     * @returns {number?} `null` if no sleeping is necessary; otherwise,
+     * duration until the schedule should next be checked in milliseconds.
+     */
+    checkSleep(date) {
+        const sleep = this.schedule.sleepDuration(date);
+        if (sleep === null) {
+            return null;
+        }
+
+        return Math.min(sleep, MAX_SLEEP_TIMEOUT);
+    }
+
+    /**
+     * Records a failed request.
+     *
+     * @private
+     * @emits module:Updater#failure
+     * @param {Error} err - The error.
+     */
+    recordFailure(err) {
+        console.error('Bus time update failed', err);
+        this.lastError = err;
+        this.lastErrorTime = new Date();
+        this.emit('failure', err);
+    }
+
+    /**
+     * Reports the errors about some of a page's stops, besides those with no
+     * service.
+     *
+     * @private
+     * @emits module:Updater#warning
+     * @param {module:Page} page - The page.
+     * @param {Error[]} warnings - The errors.
+     */
+    reportWarnings(page, warnings) {
+        warnings.filter(warning => {
+            return !(warning instanceof BusTimeError.NoServiceError);
+        }).forEach(warning => {
+            console.error(`Page ${page.name}: ${warning.message}`);
+            this.emit('warning', warning);
+        });
+    }
+
+    /**
+     * Synchronizes the clock with the API's if it is due, unless stopped or
+     * the request budget is spent. Failures are logged, and the clock keeps
+     * its current time.
+     *
+     * @private
+     */
+    async syncClock() {
+        const { clock, budget } = this;
+        if (this.stopped || !clock.isDue()) {
+            return;
+        }
+
+        if (budget && !budget.remaining(clock.now())) {
+            return;
+        }
+
+        try {
+            const offset = await clock.sync(this.client);
+            console.log(`Clock offset: ${(offset / 1000).toFixed(1)}s`);
+        } catch (err) {
+            if (!this.stopped) {
+                console.error('Clock synchronization failed', err);
+            }
+        }
+    }
+
+    /**
+     * Counts how many stops away a page's buses are, for the predictions
+     * that may be shown on rows showing it before the next request: those up
+     * to the page's last such row, as earlier ones only leave. Failures are
+     * logged, leaving those rows blank.
+     *
+     * @private
+     * @param {module:Page} page - The page.
+     * @param {Date} date - The current date.
+     */
+    async locateBuses(page, date) {
+        const last = page.rows.reduce((max, row, i) => {
+            return this.rowModes[row] === 'stops' ? i : max;
+        }, -1);
+        if (!this.stopsAway || last < 0) {
+            return;
+        }
+
+        const prds = page.upcoming(date).slice(0, last + 1);
+        try {
+            page.stopsAway = await this.stopsAway.count(prds);
+        } catch (err) {
+            if (!this.stopped) {
+                console.error(`Page ${page.name}: locating buses failed`, err);
+            }
+        }
+    }
+
+    /**
+     * Requests a page's predictions, and filters them.
+     *
+     * @private
+     * @param {module:Page} page - The page.
+     * @returns {Promise} Resolves with the predictions that pass the page's
+     * filter, or rejects with an error.
+     */
+    async requestPredictions(page) {
+        const { filter, leaveNow } = page;
+
+        // The soonest arrivals may be too soon to catch, so leave-now pages
+        // need all of them. Other pages need the soonest that pass the
+        // filter, which only the API can pick out if filtering by route.
+        const top = leaveNow ? null : TOP_PREDICTIONS;
+        const prds = await this.client.getStopPredictions(
+            page.stpid, filter.routesOnly ? top : null, filter.routes
+        );
+        this.lastSuccess = new Date();
+        this.reportWarnings(page, prds.warnings);
+        return filter.apply(prds).slice(0, top || Infinity);
+    }
+
+    /**
+     * Updates a page's bus times, scheduling its next refresh.
+     *
+     * @private
+     * @param {module:Page} page - The page.
+     * @param {Date} date - The current date.
+     */
+    async fetch(page, date) {
+        const { requestCount } = this;
+        let prds = null;
+        try {
+            if (this.budget && !this.budget.remaining(date)) {
+                throw new Error('Daily request budget spent');
+            }
+
+            prds = await this.requestPredictions(page);
+            page.update(this.status.apply(prds), date);
+            prds = page.predictions;
+            await this.locateBuses(page, date);
+        } catch (err) {
+            if (this.stopped) {
+                return;
+            }
+
+            this.recordFailure(err);
+            page.fail(date, this.grace);
+        }
+
+        page.requests = Math.max(this.requestCount - requestCount, 1);
+        page.nextFetch = date.getTime() + this.pollInterval(prds, date);
+    }
+
+    /**
+     * Gets how long to wait before requesting a page's predictions again,
+     * according to the polling strategy, stretched to fit the request budget
+     * given the requests each page's latest refresh took.
+     *
+     * @private
+     * @param {Array<module:BusTime/Prediction>?} prds - The page's latest
+     * predictions, or `null` if the request failed.
+     * @param {Date} date - The current date.
+     * @returns {number} Milliseconds to wait.
+     */
+    pollInterval(prds, date) {
+        const interval = this.poll.interval(prds);
+        if (!this.budget) {
+            return interval;
+        }
+
+        const requests = this.pages.reduce((sum, page) => {
+            return sum + page.requests;
+        }, 0);
+        return this.budget.stretch(interval, date, requests);
+    }
+
+    /**
+     * Publishes the predictions shown.
+     *
+     * @private
+     * @emits module:Updater#predictions
+     * @param {module:BusTime/Prediction[]} prds - The predictions.
+     */
+    publish(prds) {
+        this.predictions = prds;
+        this.emit('predictions', prds);
+    }
+
+    /**
+     * Publishes the page shown, if it changed.
+     *
+     * @private
+     * @emits module:Updater#page
+     * @param {number} index - The page's index.
+     */
+    publishPage(index) {
+        if (this.page && this.page.index === index) {
+            return;
+        }
+
+        const { name } = this.pages[index];
+        this.page = { index, name };
+        this.emit('page', this.page);
+        if (this.pages.length > 1) {
+            console.log(`${new Date().toLocaleTimeString()} - page ${name}`);
+        }
+    }
+
+    /**
+     * Decides which flaps a row should show for the given prediction.
+     *
+     * @private
+     * @param {number} i - The row's index.
+     * @param {Object?} rowPrd - The `prediction`, its `countdown` in minutes
+     * and how many stops away its bus is (`stopsAway`), or `null` if the row
+     * should be blank.
+     * @returns {Object} The `time`, `route` and `status` flaps, and a `note`
+     * explaining any held update.
+     */
+    rowFlaps(i, rowPrd) {
+        const { time, route, status } = this.rows[i];
+        const prd = rowPrd && rowPrd.prediction;
+        const bus = prd ? busOf(prd) : null;
+        const sameBus = bus !== null && bus === this.rowBuses[i];
+        this.rowBuses[i] = bus;
+
+        const st = status
+            ? flapOrBlank(status, this.status.flap(prd))
+            : BLANK_FLAP;
+        if (!prd) {
+            return {
+                time: BLANK_FLAP, route: BLANK_FLAP, status: st, note: ''
+            };
+        }
+
+        const rt = route ? flapOrBlank(route, prd.rt) : BLANK_FLAP;
+        if (!time) {
+            return { time: BLANK_FLAP, route: rt, status: st, note: '' };
+        }
+
+        const decision = this.policy.decide(
+            time, this.rowTimeFlap(i, time, rowPrd), sameBus
+        );
+        const { wanted, wantedSteps } = decision;
+        const note = decision.held
+            ? ` (holding; ${wanted} would take ${wantedSteps} steps)`
+            : '';
+
+        return { time: decision.flap, route: rt, status: st, note };
+    }
+
+    /**
+     * Decides which flap a row's time display should show, according to the
+     * row's mode.
+     *
+     * @private
+     * @param {number} i - The row's index.
+     * @param {module:SplitFlap} time - The row's time display.
+     * @param {Object} rowPrd - The row's prediction; see `rowFlaps()`.
+     * @returns {string} The flap to display.
+     */
+    rowTimeFlap(i, time, rowPrd) {
+        const { prediction, countdown, stopsAway } = rowPrd;
+        switch (this.rowModes[i]) {
+            case 'distance':
+                return distanceFlap(time, prediction.dstp, this.distance);
+            case 'stops':
+                return stopsAway === null
+                    ? BLANK_FLAP
+                    : timeFlap(time, stopsAway);
+            default:
+                return timeFlap(time, countdown);
+        }
+    }
+
+    /**
+     * Updates the flaps with the given predictions.
+     *
+     * @private
+     * @param {Array<Object?>} rowPrds - The predictions and their countdowns,
+     * indexed by row, as returned by
+     * [`Page#rowPredictions()`]{@link module:Page#rowPredictions}; `null` for
+     * rows that should be blank.
+     * @returns {Promise} Resolves when the flaps have updated, or failed to.
+     */
+    updateFlaps(rowPrds) {
+        return Promise.all(this.rows.map((row, i) => {
+            const { time, route, status } = row;
+            const flaps = this.rowFlaps(i, rowPrds[i] || null);
+
+            const timeStr = new Date().toLocaleTimeString();
+            console.log(
+                `${timeStr} - row ${i}: ${flaps.route} ${flaps.time}`
+                + (status ? ` ${flaps.status}` : '')
+                + flaps.note
+            );
+            return Promise.all([
+                time && time.setFlap(flaps.time),
+                route && route.setFlap(flaps.route),
+                status && status.setFlap(flaps.status)
+            ]);
+        })).catch(err => {
+            console.error('Flap update failed', err);
+        });
+    }
+
+    /**
+     * Blanks the display until it should wake up.
+     *
+     * @private
+     * @param {number} sleepTimeout - Milliseconds until the schedule should
+     * next be checked.
+     * @returns {number} Milliseconds to wait before the next update.
+     */
+    sleep(sleepTimeout) {
+        if (this.predictions.length) {
+            this.publish([]);
+        }
+
+        this.awakeSince = null;
+        this.pageIndex = 0;
+        this.lastFlapUpdate = this.updateFlaps([]);
+        return sleepTimeout;
+    }
+
+    /**
+     * Shows the next page, requesting its predictions if they are due for a
+     * refresh. With a single page, the next update is scheduled for whichever
+     * comes first: the next refresh, or the next change of countdown.
+     *
+     * @private
+     * @param {Date} date - The current date.
+     * @returns {Promise} Resolves with the number of milliseconds to wait
+     * before the next update, or `null` if updates have been stopped.
+     */
+    async showPage(date) {
+        const { pages, pageIndex } = this;
+        const page = pages[pageIndex];
+        if (page.isStale(date)) {
+            await this.fetch(page, date);
+            if (this.stopped) {
+                return null;
+            }
+        }
+
+        this.publishPage(pageIndex);
+        if (page.predictions) {
+            this.publish(page.upcoming(date));
+        }
+
+        // Blank once the grace period runs out
+        const prds = page.rowPredictions(this.rows.length, date);
+        this.lastFlapUpdate = this.updateFlaps(prds);
+        if (pages.length === 1) {
+            return Math.min(
+                page.nextFetch - date.getTime(), page.nextTick(date)
+            );
+        }
+
+        this.pageIndex = (pageIndex + 1) % pages.length;
+        return this.dwell;
+    }
+
+    /**
+     * Runs an update, then schedules the next one unless paused.
+     *
+     * @private
+     * @emits module:Updater#next
+     */
+    async run() {
+        await this.lastFlapUpdate;
+        await this.syncClock();
+        if (this.stopped) {
+            return;
+        }
+
+        const date = this.clock.now();
+        const sleepTimeout = this.checkSleep(date);
+        if (sleepTimeout === null) {
+            this.awakeSince = this.awakeSince || new Date();
+        }
+
+        const timeout = sleepTimeout === null
+            ? await this.showPage(date)
+            : this.sleep(sleepTimeout);
+        if (timeout === null || this.paused) {
+            return;
+        }
+
+        this.scheduleNext(date, timeout, sleepTimeout !== null);
+    }
+
+    /**
+     * Schedules the next update.
+     *
+     * @private
+     * @emits module:Updater#next
+     * @param {Date} date - The current date.
+     * @param {number} timeout - Milliseconds until the next update.
+     * @param {boolean} sleeping - `true` if sleeping until then.
+     */
+    scheduleNext(date, timeout, sleeping) {
+        const timeoutDate = new Date(date.getTime() + timeout);
+        console.log(`Next update: ${timeoutDate.toLocaleTimeString()}`);
+        this.timer = setTimeout(() => this.onTimeout(), timeout);
+
+        this.next = { time: timeoutDate, sleeping };
+        this.emit('next', this.next);
+    }
+
+    /**
+     * Runs an update now, unless one is already running.
+     *
+     * @private
+     * @returns {Promise} Resolves when the update has finished.
+     */
+    onTimeout() {
+        if (!this.running) {
+            clearTimeout(this.timer);
+            this.running = this.run().then(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+}
+
+/**
+ * Predictions event, emitted with the upcoming predictions shown after each
+ * update, and with none when going to sleep.
+ *
+ * @event module:Updater#predictions
+ * @type {module:BusTime/Prediction[]}
+ */
+
+/**
+ * Page event, emitted with the `index` and `name` of the page shown whenever
+ * it changes.
+ *
+ * @event module:Updater#page
+ * @type {Object}
+ */
+
+/**
+ * Next update event, emitted with the `time` of the next update and whether
+ * the updater is `sleeping` until then, or `null` when paused.
+ *
+ * @event module:Updater#next
+ * @type {Object?}
+ */
+
+/**
+ * Failure event, emitted with the error after each failed request.
+ *
+ * @event module:Updater#failure
+ * @type {Error}
+ */
+
+/**
+ * Warning event, emitted with the error for each stop, or group of stops,
+ * that failed while others on its page succeeded. Stops with no service are
+ * not reported.
+ *
+ * @event module:Updater#warning
+ * @type {Error}
+ */
+
+/**
+ * The blank flap. Every module must have one.
+ *
+ * @readonly
+ * @type {string}
+ */
+Updater.BLANK_FLAP = BLANK_FLAP;
+
+Object.freeze(Updater);
+module.exports = Updater;
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Command-line client for a running server's control socket. Prints each
+ * command's result as JSON on standard output, or its error as JSON on
+ * standard error.
+ *
+ * @module track-o-matic/ctl
+ */
+
+if (module !== require.main) {
+    return;
+}
+
+const net = require('net');
+const path = require('path');
+
+const ControlServer = require('./ControlServer');
+
+/**
+ * Exit status when the command fails.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const EXIT_FAILED = 1;
+
+/**
+ * Exit status when the command line is invalid or the server is unreachable.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const EXIT_USAGE = 2;
+
+/**
+ * Prints command-line usage.
+ *
+ * @private
+ * @param {string[]} argv - Command-line arguments.
+ */
+function usage(argv) {
+    const script = path.relative('.', argv[1]);
+    console.error(`Usage: ${script} <socket> <command> [args...]`);
+    console.error('Commands:');
+    Object.keys(ControlServer.COMMANDS).forEach(name => {
+        const params = ControlServer.COMMANDS[name].map(param => {
+            return `<${param}>`;
+        });
+        console.error(`  ${[name].concat(params).join(' ')}`);
+    });
+}
+
+/**
+ * Builds the request for a command.
+ *
+ * @private
+ * @param {string} command - The command.
+ * @param {string[]} args - The command's arguments.
+ * @returns {Object?} The request, or `null` if the arguments don't match the
+ * command.
+ */
+function buildRequest(command, args) {
+    const params = ControlServer.COMMANDS[command];
+    if (!params || args.length > params.length) {
+        return null;
+    }
+
+    const req = { command };
+    args.forEach((arg, i) => {
+        req[params[i]] = arg;
+    });
+    return req;
+}
+
+/**
+ * Sends a request and waits for its response.
+ *
+ * @private
+ * @param {string} file - Path to the control socket.
+ * @param {Object} req - The request.
+ * @returns {Promise} Resolves with the response, or rejects with an error.
+ */
+function send(file, req) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(file, () => {
+            socket.write(`${JSON.stringify(req)}\n`);
+        });
+        socket.setEncoding('utf-8');
+
+        let data = '';
+
+        /**
+         * Parses the response received so far, up to the first newline.
+         */
+        function respond() {
+            const end = data.indexOf('\n');
+            try {
+                resolve(JSON.parse(end >= 0 ? data.slice(0, end) : data));
+            } catch (err) {
+                reject(new Error(`Malformed response: ${err.message}`));
+            }
+        }
+
+        // The response may arrive in several chunks.
+        socket.on('data', chunk => {
+            data += chunk;
+            if (data.includes('\n')) {
+                socket.end();
+                respond();
+            }
+        });
+        socket.on('end', () => {
+            if (data.trim()) {
+                respond();
+            }
+        });
+        socket.on('error', reject);
+        socket.on('close', () => {
+            reject(new Error('Connection closed without a response'));
+        });
+    });
+}
+
+/**
+ * Command-line interface.
+ *
+ * @private
+ * @param {string[]} argv - Command-line arguments.
+ * @returns {Promise} Resolves with the exit status.
+ */
+async function cli(argv) {
+    const [file, command, ...args] = argv.slice(2);
+    const req = command && buildRequest(command, args);
+    if (!req) {
+        usage(argv);
+        return EXIT_USAGE;
+    }
+
+    let res;
+    try {
+        res = await send(file, req);
+    } catch (err) {
+        console.error(`Request to ${file} failed: ${err.message}`);
+        return EXIT_USAGE;
+    }
+
+    if (!res.ok) {
+        console.error(JSON.stringify(res.error, null, 4));
+        return EXIT_FAILED;
+    }
+
+    console.log(JSON.stringify(res.result, null, 4));
+    return 0;
+}
+
+cli(process.argv).then(status => {
+    process.exitCode = status;
+});
@@ -14,11 +14,19 @@ if (module !== require.main) {
 
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const express = require('express');
 
-const BusTimeClient = require('./BusTime/Client');
+const Console = require('./Console');
+const ControlServer = require('./ControlServer');
+const Controller = require('./Controller');
+const Metrics = require('./Metrics');
+const MockStepper = require('./MockStepper');
+const RequestBudget = require('./RequestBudget');
 const SplitFlap = require('./SplitFlap');
+const StateStore = require('./StateStore');
 const Stepper = require('./Stepper');
+const Updater = require('./Updater');
 
 /**
  * Prints command-line usage.
@@ -28,21 +36,176 @@ const Stepper = require('./Stepper');
  */
 function usage(argv) {
     const script = path.relative('.', argv[1]);
-    console.log(`Usage: ${script} <cfgFile> <port> [initFlaps...]`);
+    console.log(
+        `Usage: ${script} [--simulate] <cfgFile> <port> [initFlaps...]`
+    );
+    console.log('  --simulate: Use simulated steppers instead of GPIO.');
+}
+
+/**
+ * Command-line flags.
+ *
+ * @private
+ * @readonly
+ * @type {string[]}
+ */
+const FLAGS = Object.freeze(['--simulate']);
+
+/**
+ * Separates command-line flags from positional arguments.
+ *
+ * @private
+ * @param {string[]} args - The arguments, excluding the node executable and
+ * script.
+ * @throws {Error} Only flags in `FLAGS` may be specified.
+ * @returns {Object} The `flags` specified, and the remaining `positional`
+ * arguments.
+ */
+function parseArgs(args) {
+    const flags = new Set();
+    const positional = [];
+    args.forEach(arg => {
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            return;
+        }
+
+        if (!FLAGS.includes(arg)) {
+            throw new Error(`Unknown flag: ${arg}`);
+        }
+
+        flags.add(arg);
+    });
+
+    return { flags, positional };
+}
+
+/**
+ * The blank flap. Every module must have one.
+ *
+ * @private
+ * @readonly
+ * @type {string}
+ */
+const { BLANK_FLAP } = Updater;
+
+/**
+ * Default path to the state file, relative to the configuration file.
+ *
+ * @private
+ * @readonly
+ * @type {string}
+ */
+const DEFAULT_STATE_FILE = 'track-o-matic.state.json';
+
+/**
+ * Default control socket, relative to the configuration file.
+ *
+ * @private
+ * @readonly
+ * @type {string}
+ */
+const DEFAULT_CONTROL_SOCKET = 'track-o-matic.sock';
+
+/**
+ * Default request budget file, relative to the configuration file.
+ *
+ * @private
+ * @readonly
+ * @type {string}
+ */
+const DEFAULT_BUDGET_FILE = 'track-o-matic.budget.json';
+
+/**
+ * Default module settings, used for anything not specified by the display
+ * configuration.
+ *
+ * @private
+ * @readonly
+ * @type {Object}
+ */
+const MODULE_DEFAULTS = Object.freeze({
+    totalSteps: 2048,
+    totalFlaps: 32,
+    period: 10.0
+});
+
+/**
+ * Resolves the module descriptions in the display configuration, applying
+ * defaults and looking up named flap sets.
+ *
+ * @private
+ * @param {Object} display - Display configuration.
+ * @param {Object<string, string[]>} [display.flaps] - Named flap sets.
+ * @param {Object} [display.defaults] - Default module settings.
+ * @param {Object[]} display.modules - Module descriptions.
+ * @throws {Error} The configuration must be valid.
+ * @returns {Object[]} The resolved module descriptions. Each module's
+ * `flapSet` is the name of its flap set, or `null` if its flaps were listed
+ * directly.
+ */
+function resolveModules(display) {
+    const { flaps: flapSets = {}, defaults = {}, modules } = display;
+    if (!(modules instanceof Array) || !modules.length) {
+        throw new Error('Display must have at least one module');
+    }
+
+    return modules.map((moduleCfg, i) => {
+        const {
+            name = i.toString(), pins, totalSteps, totalFlaps, period
+        } = Object.assign({}, MODULE_DEFAULTS, defaults, moduleCfg);
+
+        let { flaps } = moduleCfg;
+        const flapSet = typeof flaps === 'string' ? flaps : null;
+        if (flapSet !== null) {
+            if (!(flaps in flapSets)) {
+                throw new Error(`Module ${name}: unknown flap set "${flaps}"`);
+            }
+            flaps = flapSets[flaps];
+        }
+
+        if (!(flaps instanceof Array) || flaps.length > totalFlaps) {
+            throw new Error(
+                `Module ${name}: expected at most ${totalFlaps} flaps`
+            );
+        }
+
+        if (!flaps.includes(BLANK_FLAP)) {
+            throw new Error(`Module ${name}: missing "${BLANK_FLAP}" flap`);
+        }
+
+        return Object.freeze({
+            name: name.toString(),
+            pins,
+            totalSteps,
+            flaps,
+            flapSet,
+            totalFlaps,
+            period
+        });
+    });
 }
 
 /**
  * Sets up the steppers.
  *
  * @private
+ * @param {Object[]} modules - The resolved module descriptions.
+ * @param {boolean} [simulate=false] - `true` to use
+ * [`MockStepper`s]{@link module:MockStepper} instead of GPIO pins.
  * @returns {module:Stepper[]} The stepper array.
  */
-function setupSteppers() {
-    const steppers = new Array(4);
-    steppers[0] = new Stepper(2048, [2, 3, 4, 14]);
-    steppers[1] = new Stepper(2048, [26, 21, 20, 16]);
-    steppers[2] = new Stepper(2048, [15, 17, 18, 27]);
-    steppers[3] = new Stepper(2048, [19, 13, 12, 6]);
+function setupSteppers(modules, simulate = false) {
+    if (simulate) {
+        console.log('Simulating steppers; GPIO will not be used.');
+    }
+
+    const steppers = modules.map(({ totalSteps, pins }) => {
+        return new Stepper(
+            totalSteps,
+            simulate ? new MockStepper(totalSteps) : pins
+        );
+    });
 
     process.on('exit', function closeSteppers() {
         steppers.forEach(stepper => {
@@ -57,353 +220,905 @@ function setupSteppers() {
  * Sets up the split flap displays.
  *
  * @private
- * @param {string[]} [initFlaps] - The initial flaps, if any.
+ * @param {Object[]} modules - The resolved module descriptions.
+ * @param {boolean} [simulate=false] - `true` to use simulated steppers.
  * @returns {module:SplitFlap[]} The split flap array.
  */
-function setupSplitFlaps(initFlaps) {
-    const totalFlaps = 32;
-    const period = 10.0;
+function setupSplitFlaps(modules, simulate = false) {
+    const steppers = setupSteppers(modules, simulate);
 
-    const routes = ['69', '67', '61D', '61C', '61B', '61A', '_'];
-    const times = new Array(17);
-    times[16] = '_';
-    for (let i = 0; i < 16; i++) {
-        times[i] = (15 - i).toString();
+    return modules.map(({ flaps, totalFlaps, period }, i) => {
+        return new SplitFlap(steppers[i], flaps, totalFlaps, period);
+    });
+}
+
+/**
+ * Gets the current position of every split flap display, keyed by module
+ * name.
+ *
+ * @private
+ * @param {Object[]} modules - The resolved module descriptions.
+ * @param {module:SplitFlap[]} splitFlaps - The split flap array.
+ * @returns {Object<string, Object>} Each module's current `flap`, its
+ * `flapIndex` and its stepper's `step`.
+ */
+function getPositions(modules, splitFlaps) {
+    const positions = {};
+    splitFlaps.forEach((splitFlap, i) => {
+        const { currentFlap, flapIndices, stepper } = splitFlap;
+        positions[modules[i].name] = {
+            flap: currentFlap,
+            flapIndex: flapIndices[currentFlap],
+            step: stepper.currentStep
+        };
+    });
+
+    return positions;
+}
+
+/**
+ * Restores the positions of the split flap displays, as saved by
+ * `getPositions()`. Positions that no longer match the display configuration
+ * are ignored.
+ *
+ * @private
+ * @param {Object[]} modules - The resolved module descriptions.
+ * @param {module:SplitFlap[]} splitFlaps - The split flap array.
+ * @param {Object<string, Object>} [positions={}] - The saved positions.
+ */
+function restorePositions(modules, splitFlaps, positions = {}) {
+    splitFlaps.forEach((splitFlap, i) => {
+        const { name } = modules[i];
+        if (!(name in positions)) {
+            return;
+        }
+
+        const { flap, step } = positions[name];
+        if (!(flap in splitFlap.flapIndices)) {
+            console.warn(`Module ${name}: ignoring saved flap "${flap}"`);
+            return;
+        }
+
+        const valid = Number.isInteger(step)
+            && step >= 0 && step < splitFlap.stepper.totalSteps;
+        splitFlap.calibrate(flap, valid ? step : null);
+    });
+}
+
+/**
+ * Restores the display's positions from the state file, then keeps the state
+ * file up to date as each flap change finishes.
+ *
+ * @private
+ * @param {module:StateStore} store - The state file.
+ * @param {Object[]} modules - The resolved module descriptions.
+ * @param {module:SplitFlap[]} splitFlaps - The split flap array.
+ * @returns {Function} Saves the current positions to the state file,
+ * returning a `Promise` that resolves when done (or failed).
+ */
+function setupPersistence(store, modules, splitFlaps) {
+    try {
+        restorePositions(modules, splitFlaps, store.load().positions);
+    } catch (err) {
+        console.error(`Restoring state from ${store.file} failed`, err);
+    }
+
+    /**
+     * Saves the current positions to the state file.
+     *
+     * @returns {Promise} Resolves when the positions are saved, or failed to.
+     */
+    function save() {
+        return store.save({
+            positions: getPositions(modules, splitFlaps)
+        }).catch(err => {
+            console.error(`Saving state to ${store.file} failed`, err);
+        });
     }
 
-    const steppers = setupSteppers();
+    splitFlaps.forEach(splitFlap => {
+        splitFlap.on('flap', save);
+    });
 
-    const splitFlaps = [
-        new SplitFlap(steppers[0], times, totalFlaps, period),
-        new SplitFlap(steppers[1], routes, totalFlaps, period),
-        new SplitFlap(steppers[2], times, totalFlaps, period),
-        new SplitFlap(steppers[3], routes, totalFlaps, period)
-    ];
+    return save;
+}
 
-    if (initFlaps) {
-        splitFlaps.forEach((splitFlap, i) => {
-            if (i in initFlaps) {
-                splitFlap.setFlap(initFlaps[i], true);
+/**
+ * Sets up the display rows, mapping each row's roles (e.g. `time`, `route`)
+ * to split flap displays.
+ *
+ * @private
+ * @param {Object<string, (string|number)>[]} rows - Row descriptions, mapping
+ * roles to module names or indices.
+ * @param {Object[]} modules - The resolved module descriptions.
+ * @param {module:SplitFlap[]} splitFlaps - The split flap array.
+ * @throws {Error} Each row must refer to existing modules.
+ * @returns {Object<string, module:SplitFlap>[]} The rows.
+ */
+function setupRows(rows, modules, splitFlaps) {
+    const indices = {};
+    modules.forEach(({ name }, i) => {
+        indices[name] = i;
+    });
+
+    return rows.map((row, i) => {
+        const resolved = {};
+        Object.keys(row).forEach(role => {
+            const ref = row[role];
+            const index = typeof ref === 'number' ? ref : indices[ref];
+            if (!(index in splitFlaps)) {
+                throw new Error(`Row ${i}: unknown module "${ref}" (${role})`);
             }
+
+            resolved[role] = splitFlaps[index];
         });
-    }
 
-    return splitFlaps;
+        return Object.freeze(resolved);
+    });
 }
 
-const busTimeSchedule = [
-    [],
-    [[9.5, 10.5], [11.5, 12.5]],
-    [[9.5, 10.5], [15, 16]],
-    [[9.5, 10.5], [11.5, 12.5]],
-    [[9.5, 10.5], [14, 15]],
-    [[8, 9], [14, 15]],
-    []
-];
-
-/**
- * Determines if the BusTime updater should be sleeping.
- *
- * @param {Date} date - The date to check.
- * @returns {number?} `null` if no sleeping is necessary; otherwise, duration
- * until next awakening in milliseconds.
- */
-function busTimeCheckSleep(date) {
-    const scheds = busTimeSchedule[date.getDay()];
-    const hrs = date.getHours();
-    const mins = date.getMinutes();
-    const schedHrs = hrs + mins / 60;
-    let nextSchedHrs = null;
-    for (let [start, end] of scheds) {
-        if (start <= schedHrs && schedHrs < end) {
-            return null;
-        }
+/**
+ * Sets up the display described by the configuration.
+ *
+ * @private
+ * @param {Object} display - Display configuration.
+ * @param {Object} opts - Options.
+ * @param {module:StateStore} [opts.store] - The state file to restore
+ * positions from and save them to, if any.
+ * @param {string[]} [opts.initFlaps] - The initial flaps, if any. These
+ * override the positions in the state file.
+ * @param {boolean} [opts.simulate=false] - `true` to use simulated steppers.
+ * @returns {Object} The display's `modules` (resolved descriptions),
+ * `splitFlaps`, `rows` and `controller`, and a `saveState()` function
+ * returning a `Promise` that resolves once the current positions are saved.
+ */
+function setupDisplay(display, opts) {
+    const { store, initFlaps = [], simulate = false } = opts;
+    if (!display) {
+        throw new Error('No display configuration specified');
+    }
 
-        if (schedHrs < start) {
-            nextSchedHrs = start;
-            break;
+    const modules = resolveModules(display);
+    const splitFlaps = setupSplitFlaps(modules, simulate);
+    const rows = setupRows(display.rows || [], modules, splitFlaps);
+
+    const saveState = store
+        ? setupPersistence(store, modules, splitFlaps)
+        : () => Promise.resolve();
+
+    splitFlaps.forEach((splitFlap, i) => {
+        if (i in initFlaps) {
+            splitFlap.calibrate(initFlaps[i]);
         }
+    });
+
+    const controller = new Controller(modules, splitFlaps);
+
+    // Jogs and rotations move steppers without changing flaps.
+    controller.on('step', () => saveState());
+
+    return { modules, splitFlaps, rows, controller, saveState };
+}
+
+/**
+ * Sets up the daily request budget; see
+ * [`RequestBudget`]{@link module:RequestBudget}.
+ *
+ * @private
+ * @param {Object} cfg - Configuration.
+ * @param {string} cfgFile - Path to the configuration file.
+ * @returns {module:RequestBudget?} The budget, or `null` if disabled or
+ * replaying.
+ */
+function setupBudget(cfg, cfgFile) {
+    // Replayed responses don't count against the key's limit.
+    if (cfg.budget === false || cfg.replay) {
+        return null;
     }
 
-    const remMins = nextSchedHrs === null
-        ? ((23 - hrs) * 60 + (59 - mins))
-        : (nextSchedHrs - schedHrs) * 60;
-    const remSecs = 59 - date.getSeconds();
-    const remMillis = 1000 - date.getMilliseconds();
-    return (remMins * 60 + remSecs) * 1000 + remMillis;
+    const budget = cfg.budget || {};
+    const store = new StateStore(path.resolve(
+        path.dirname(cfgFile), budget.file || DEFAULT_BUDGET_FILE
+    ));
+    return new RequestBudget(cfg.apiKey, budget, store);
 }
 
 /**
- * Gets the number of milliseconds to wait before requesting another BusTime
- * update.
+ * Resolves the paths of the BusTime traffic logs to `record` to and `replay`
+ * from, if any, relative to the configuration file.
  *
  * @private
- * @param {module:BusTime/Prediction[]} [prds] - The latest predictions.
- * @returns {number} Milliseconds to wait before next update.
+ * @param {Object} cfg - Configuration.
+ * @param {string} cfgFile - Path to the configuration file.
+ * @returns {Object} The configuration, with the paths resolved.
  */
-function busTimeTimeout(prds) {
-    const MIN_TIMEOUT = 30 * 1000;     // Minimum interval
+function resolveTrafficLogs(cfg, cfgFile) {
+    const dir = path.dirname(cfgFile);
+    const { record, replay } = cfg;
 
-    if (!prds || !prds[0]) {
-        return 2 * MIN_TIMEOUT;
-    }
+    return Object.assign({}, cfg, {
+        record: record ? path.resolve(dir, record) : null,
+        replay: replay ? Object.assign({}, replay, {
+            file: path.resolve(dir, replay.file)
+        }) : null
+    });
+}
 
-    // Fast updates when next bus is coming soon; slow updates when far away
-    const { prdctdn } = prds[0];
-    return Math.max((prdctdn / 5) * MIN_TIMEOUT, MIN_TIMEOUT);
+/**
+ * Sets up the BusTime updater; see [`Updater`]{@link module:Updater}.
+ *
+ * @private
+ * @param {Object} cfg - Configuration.
+ * @param {Object<string, module:SplitFlap>[]} rows - The display rows.
+ * @param {string} cfgFile - Path to the configuration file.
+ * @returns {module:Updater} The updater, once started.
+ */
+function setupBusTime(cfg, rows, cfgFile) {
+    const updater = new Updater(
+        resolveTrafficLogs(cfg, cfgFile), rows, setupBudget(cfg, cfgFile)
+    );
+    updater.start();
+    return updater;
 }
 
 /**
- * Sets up the BusTime client.
+ * Sets up graceful shutdown on `SIGINT` and `SIGTERM`.
+ *
+ * Shutting down stops the BusTime updater, waits for (or cancels) moves in
+ * progress, optionally parks every module on the blank flap, then turns off
+ * the steppers and saves the final positions before exiting. A second signal
+ * cancels any moves still in progress.
  *
  * @private
- * @param {Object} cfg - BusTime configuration.
- * @param {module:SplitFlap[]} splitFlaps - The split-flap displays.
+ * @param {Object} [cfg] - Shutdown configuration.
+ * @param {boolean} [cfg.cancelMoves=false] - `true` to cancel moves in
+ * progress instead of waiting for them to finish.
+ * @param {boolean} [cfg.park=false] - `true` to park every module on the
+ * blank flap.
+ * @param {Object} ctx - The server context.
+ * @returns {Function} Starts shutting down, given the reason for doing so.
  */
-function setupBusTime(cfg, splitFlaps) {
-    const { stpid } = cfg;
-    const bustime = new BusTimeClient(cfg);
+function setupShutdown(cfg = {}, ctx) {
+    const { cancelMoves = false, park = false } = cfg;
+    const { splitFlaps, controller, busTime, saveState } = ctx;
+    let shuttingDown = false;
 
-    const rows = [{
-        time: splitFlaps[0],
-        route: splitFlaps[1]
-    }, {
-        time: splitFlaps[2],
-        route: splitFlaps[3]
-    }];
+    /**
+     * Cancels all moves in progress.
+     *
+     * @returns {Promise} Resolves when every stepper is idle.
+     */
+    function cancel() {
+        return Promise.all(splitFlaps.map(splitFlap => splitFlap.cancel()));
+    }
 
     /**
-     * Updates the bus times, setting the flaps as appropriate.
+     * Stops accepting commands and BusTime updates.
+     */
+    function stopAccepting() {
+        controller.close();
+        busTime.stop();
+        if (ctx.controlServer) {
+            ctx.controlServer.close();
+        }
+    }
+
+    /**
+     * Shuts down the server, exiting the process when done.
      *
-     * @returns {Promise} Resolves with the predictions when the flaps
-     * have been updated.
+     * @param {string} reason - Why the server is shutting down.
      */
-    async function updateBusTimes() {
-        try {
-            const prds = await bustime.getStopPredictions(stpid, 4);
+    async function shutdown(reason) {
+        if (shuttingDown) {
+            console.log(`${reason}: cancelling moves in progress`);
+            cancel();
+            return;
+        }
 
-            return prds.filter(prd => {
-                const { rt } = prd;
-                return rt === '61C' || rt === '61D';
-            });
-        } catch (err) {
-            console.error('Bus time update failed', err);
+        shuttingDown = true;
+        console.log(`${reason}: shutting down`);
+        stopAccepting();
+
+        await (cancelMoves
+            ? cancel()
+            : Promise.all(splitFlaps.map(splitFlap => splitFlap.idle()))
+        );
 
-            // Blank on error
+        if (park) {
             await Promise.all(splitFlaps.map(splitFlap => {
-                return splitFlap.setFlap('_');
-            }));
+                return splitFlap.setFlap(BLANK_FLAP);
+            })).catch(err => {
+                console.error('Parking failed', err);
+            });
         }
 
-        return [];
+        splitFlaps.forEach(({ stepper }) => {
+            stepper.close();
+        });
+
+        await saveState();
+        if (busTime.budget) {
+            await busTime.budget.save();
+        }
+        process.exit(0);    // eslint-disable-line no-process-exit
     }
 
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => shutdown(signal));
+    });
+
+    return shutdown;
+}
+
+/**
+ * HTTP response statuses for errors, by error code.
+ *
+ * @private
+ * @readonly
+ * @type {Object<string, number>}
+ */
+const ERROR_STATUSES = Object.freeze({
+    [Controller.ERRORS.NO_MODULE]: 404,
+    [Controller.ERRORS.NO_FLAP]: 400,
+    [Controller.ERRORS.BAD_STEP]: 400,
+    [Controller.ERRORS.CLOSED]: 503,
+    EBADREQUEST: 400,
+    ECANCELED: 503
+});
+
+/**
+ * Sets up the REST API for reading and setting flaps, under `/modules`.
+ *
+ * - `GET /modules`: Lists every module.
+ * - `GET /modules/:module`: Describes a module.
+ * - `PUT /modules/:module/flap`: Moves a module to the flap given by the
+ *   request's JSON body, `{ "flap": string }`, responding once it is
+ *   displayed.
+ * - `PUT /modules/:module/calibration`: Recalibrates a module without moving
+ *   it, given `{ "flap": string, "step": number? }`.
+ *
+ * Modules are given by name or index, and are described as by
+ * [`Controller#describe()`]{@link module:Controller#describe}. Errors are
+ * responded to with `{ "error": { "code": string?, "message": string } }`.
+ *
+ * @private
+ * @param {express.Application} app - The express app.
+ * @param {module:Controller} controller - The display's controller.
+ */
+function setupControlAPI(app, controller) {
+    const router = new express.Router();
+    router.use(express.json());
+
     /**
-     * Updates the flaps with the given predictions.
+     * Gets the flap specified by the request body.
      *
-     * @param {module:BusTime/Prediction[]} [prds] - The predictions.
-     * @returns {Promise} Resolves when the flaps have updated.
+     * @param {Object} body - The request body.
+     * @throws {Error} The body must specify a flap.
+     * @returns {string} The flap.
      */
-    function updateFlaps(prds) {
-        return Promise.all(rows.map((row, i) => {
-            const { time, route } = row;
-            const prd = prds[i];
-
-            let tm;
-            let rt;
-            if (prd) {
-                tm = Math.min(prd.prdctdn, 15).toString();
-                rt = prd.rt;
-            } else {
-                // Blank if not present
-                tm = '_';
-                rt = '_';
-            }
+    function getFlap(body) {
+        const { flap } = body;
+        if (typeof flap !== 'string') {
+            const err = new Error('Expected a "flap" string');
+            err.code = 'EBADREQUEST';
+            throw err;
+        }
 
-            const timeStr = new Date().toLocaleTimeString();
-            console.log(`${timeStr} - row ${i}: ${rt} ${tm}`);
-            return Promise.all([
-                time.setFlap(tm),
-                route.setFlap(rt)
-            ]);
-        }));
+        return flap;
     }
 
-    let lastFlapUpdate;
-    (async function onTimeout() {
-        await lastFlapUpdate;
-
-        const date = new Date();
-        const sleepTimeout = busTimeCheckSleep(date);
-        let timeout;
-        if (sleepTimeout !== null) {
-            lastFlapUpdate = updateFlaps([]);
-            timeout = sleepTimeout;
-        } else {
-            const prds = await updateBusTimes();
-            lastFlapUpdate = updateFlaps(prds);
-
-            timeout = busTimeTimeout(prds);
+    router.get('/', (req, res) => {
+        res.json(controller.list());
+    });
+
+    router.get('/:module', (req, res) => {
+        res.json(controller.describe(req.params.module));
+    });
+
+    router.put('/:module/flap', async(req, res, next) => {
+        try {
+            const flap = getFlap(req.body);
+            res.json(await controller.setFlap(req.params.module, flap));
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    router.put('/:module/calibration', (req, res) => {
+        const flap = getFlap(req.body);
+        const { step = null } = req.body;
+        res.json(controller.calibrate(req.params.module, flap, step));
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    router.use((err, req, res, next) => {
+        const code = err instanceof Stepper.CancelError
+            ? 'ECANCELED'
+            : err.code || null;
+        const status = ERROR_STATUSES[code] || err.status || 500;
+        if (status >= 500) {
+            console.error(`${req.method} ${req.originalUrl} failed`, err);
         }
 
-        const timeoutDate = new Date(date.getTime() + timeout);
-        console.log(`Next update: ${timeoutDate.toLocaleTimeString()}`);
-        setTimeout(onTimeout, timeout);
-    }());
+        res.status(status).json({ error: { code, message: err.message }});
+    });
+
+    app.use('/modules', router);
 }
 
 /**
- * Command-line interface.
+ * How long clients should wait before reconnecting to the event stream, in
+ * milliseconds.
  *
  * @private
- * @param {string[]} argv - Command-line arguments.
- * @returns {Promise} Resolves with the split flap array, or rejects with an
- * error.
+ * @readonly
+ * @type {number}
  */
-async function cli(argv) {
-    if (argv.length < 4) {
-        usage(argv);
-        throw new Error(`Invalid commandline: ${argv}`);
+const EVENT_RETRY_TIMEOUT = 2000;
+
+/**
+ * How often to send keep-alive comments on the event stream, in milliseconds.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const EVENT_KEEPALIVE_INTERVAL = 30 * 1000;
+
+/**
+ * Sets up an event hub, which re-emits the display's and BusTime updater's
+ * events as `event`s with a type and JSON-serializable data:
+ *
+ * - `step`: A module's stepper moved; `{ module, step }`.
+ * - `flap`: A module finished moving to a flap; `{ module, flap, flapIndex }`.
+ * - `predictions`: New predictions are shown; as described by
+ *   [`describePredictions()`]{@link module:Updater#describePredictions}.
+ * - `page`: A different page is being shown; `{ index, name }`.
+ * - `next`: The next update was scheduled; `{ time, sleeping }`.
+ * - `updateError`: An update failed; `{ message, code }`.
+ *
+ * @private
+ * @param {Object} ctx - The server context.
+ * @returns {EventEmitter} The event hub, whose `snapshot()` function returns
+ * the current `modules`, `rows`, `predictions`, `page`, `next` update and
+ * `lastError`.
+ */
+function setupEventHub(ctx) {
+    const { splitFlaps, rows, controller, busTime } = ctx;
+
+    const hub = new EventEmitter();
+    hub.setMaxListeners(0);
+
+    /**
+     * Emits an event from the hub.
+     *
+     * @param {string} type - The event type.
+     * @param {*} data - The event data.
+     */
+    function emit(type, data) {
+        hub.emit('event', type, data);
     }
-    const cfgFile = argv[2];
-    const port = argv[3];
-    const initFlaps = argv.slice(4);
 
-    const splitFlaps = setupSplitFlaps(initFlaps);
+    /**
+     * Formats an error for emitting.
+     *
+     * @param {Error?} err - The error.
+     * @returns {Object?} The formatted error.
+     */
+    function formatError(err) {
+        return err && { message: err.message, code: err.code || null };
+    }
 
-    const cfg = JSON.parse(fs.readFileSync(cfgFile));
-    setupBusTime(cfg, splitFlaps);
+    splitFlaps.forEach((splitFlap, module) => {
+        splitFlap.stepper.on('step', step => {
+            emit('step', { module, step });
+        });
 
-    const app = express();
-    app.use(express.static(path.resolve(__dirname, '../www/')));
-    app.use('/doc/', express.static(path.resolve(__dirname, '../doc/')));
+        splitFlap.on('flap', flap => {
+            const flapIndex = splitFlap.flapIndices[flap];
+            emit('flap', { module, flap, flapIndex });
+        });
+    });
+
+    busTime.on('predictions', () => {
+        emit('predictions', busTime.describePredictions(busTime.clock.now()));
+    });
+    busTime.on('page', page => emit('page', page));
+    busTime.on('next', next => emit('next', next));
+    busTime.on('failure', err => emit('updateError', formatError(err)));
+
+    hub.snapshot = function snapshot() {
+        return {
+            modules: controller.list(),
+            rows: rows.map(row => {
+                const indices = {};
+                Object.keys(row).forEach(role => {
+                    indices[role] = splitFlaps.indexOf(row[role]);
+                });
+                return indices;
+            }),
+            predictions: busTime.describePredictions(busTime.clock.now()),
+            page: busTime.page,
+            next: busTime.next,
+            lastError: formatError(busTime.lastError)
+        };
+    };
+
+    return hub;
+}
+
+/**
+ * Sets up the `/events` [Server-Sent Events][SSE] stream. On connecting,
+ * clients are sent a `snapshot` event with the current state, followed by the
+ * event hub's events as they happen.
+ *
+ * [SSE]: https://html.spec.whatwg.org/multipage/server-sent-events.html
+ *
+ * @private
+ * @param {express.Application} app - The express app.
+ * @param {Object} ctx - The server context.
+ */
+function setupEventStream(app, ctx) {
+    const hub = setupEventHub(ctx);
 
-    app.get('/status', function status(req, res) {
+    app.get('/events', function events(req, res) {
         res.writeHead(200, {
-            'Content-Type': 'text/plain'
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
         });
+        res.write(`retry: ${EVENT_RETRY_TIMEOUT}\n\n`);
 
-        const listeners = new Array(splitFlaps.length);
+        /**
+         * Sends an event to the client.
+         *
+         * @param {string} type - The event type.
+         * @param {*} data - The event data.
+         */
+        function send(type, data) {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+
+        const keepAlive = setInterval(() => {
+            res.write(': keep-alive\n\n');
+        }, EVENT_KEEPALIVE_INTERVAL);
 
         /**
-         * Cleans up the connection, removing step listeners and ending the
+         * Cleans up the connection, removing the event listener and ending the
          * response.
          */
         function cleanup() {
+            clearInterval(keepAlive);
+            hub.removeListener('event', send);
             res.end();
-            splitFlaps.forEach((splitFlap, i) => {
-                splitFlap.stepper.removeListener('step', listeners[i]);
-            });
         }
 
         res.on('error', cleanup);
         res.on('close', cleanup);
-        splitFlaps.forEach((splitFlap, i) => {
-            const { stepper } = splitFlap;
-
-            /**
-             * Callback for step event.
-             *
-             * @param {number} step - The latest step.
-             */
-            function onStep(step) {
-                res.write(`${i} ${step}\0`, 'utf-8');
-            }
 
-            listeners[i] = onStep;
-            stepper.on('step', onStep);
-            onStep(stepper.currentStep);
+        send('snapshot', hub.snapshot());
+        hub.on('event', send);
+    });
+}
+
+/**
+ * Buckets for stepper timing errors, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number[]}
+ */
+const TIMING_ERROR_BUCKETS = Object.freeze([
+    -0.1, -0.01, 0, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1
+]);
+
+/**
+ * Buckets for `setFlap()` durations, in seconds.
+ *
+ * @private
+ * @readonly
+ * @type {number[]}
+ */
+const MOVE_DURATION_BUCKETS = Object.freeze([
+    1, 2, 5, 10, 20, 30, 60, 120
+]);
+
+/**
+ * Sets up the BusTime API metrics.
+ *
+ * @private
+ * @param {module:Metrics} metrics - The metrics.
+ * @param {module:Updater} busTime - The BusTime updater.
+ */
+function setupBusTimeMetrics(metrics, busTime) {
+    const requests = metrics.counter(
+        'bustime_requests_total', 'BusTime API requests.'
+    );
+    const failures = metrics.counter(
+        'bustime_request_failures_total', 'Failed BusTime API requests.'
+    );
+    const latency = metrics.histogram(
+        'bustime_request_duration_seconds', 'BusTime API request latency.'
+    );
+    const predictions = metrics.gauge(
+        'bustime_predictions',
+        'Predictions returned by the latest getpredictions request.'
+    );
+    busTime.client.on('request', ({ method, duration, response, error }) => {
+        requests.inc({ method });
+        latency.observe({ method }, duration);
+        if (error) {
+            failures.inc({ method });
+        } else if (method === 'getpredictions') {
+            predictions.set({}, (response.prd || []).length);
+        }
+    });
+
+    const retries = metrics.counter(
+        'bustime_request_retries_total',
+        'BusTime API requests retried after transient failures.'
+    );
+    busTime.client.on('retry', ({ method }) => retries.inc({ method }));
+
+    const budget = metrics.gauge(
+        'bustime_budget_remaining', 'BusTime API requests left today.'
+    );
+    const clockOffset = metrics.gauge(
+        'clock_offset_seconds',
+        'How far the system clock is behind the BusTime API\'s.'
+    );
+    metrics.collect(() => {
+        const date = busTime.clock.now();
+        if (busTime.budget) {
+            budget.set({}, busTime.budget.remaining(date));
+        }
+        clockOffset.set({}, (date.getTime() - Date.now()) / 1000);
+    });
+}
+
+/**
+ * Sets up the `/metrics` endpoint, in the [Prometheus text exposition
+ * format][format].
+ *
+ * [format]: https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * @private
+ * @param {express.Application} app - The express app.
+ * @param {Object} ctx - The server context.
+ */
+function setupMetrics(app, ctx) {
+    const { modules, splitFlaps, busTime } = ctx;
+    const metrics = new Metrics('trackomatic_');
+
+    setupBusTimeMetrics(metrics, busTime);
+
+    const steps = metrics.counter(
+        'stepper_steps_total', 'Steps taken by each stepper.'
+    );
+    const rotations = metrics.counter(
+        'stepper_rotations_total', 'Full rotations made by each stepper.'
+    );
+    const timingError = metrics.histogram(
+        'stepper_timing_error_seconds',
+        'How much longer each stepper command took than commanded.',
+        TIMING_ERROR_BUCKETS
+    );
+    const moveDuration = metrics.histogram(
+        'splitflap_move_duration_seconds',
+        'How long each setFlap() move took, including any wait.',
+        MOVE_DURATION_BUCKETS
+    );
+    splitFlaps.forEach((splitFlap, i) => {
+        const labels = { module: modules[i].name };
+        splitFlap.stepper.on('finish', ({ duration, elapsed }) => {
+            timingError.observe(labels, elapsed - duration);
+        });
+        splitFlap.on('move', ({ elapsed }) => {
+            moveDuration.observe(labels, elapsed / 1000);
         });
     });
 
-    app.listen(port, '0.0.0.0');
+    const sleeping = metrics.gauge(
+        'sleeping', '1 if the display is asleep on schedule; 0 otherwise.'
+    );
+    metrics.collect(() => {
+        splitFlaps.forEach(({ stepper }, i) => {
+            const labels = { module: modules[i].name };
+            steps.set(labels, stepper.stepsTaken);
+            rotations.set(
+                labels, Math.floor(stepper.stepsTaken / stepper.totalSteps)
+            );
+        });
 
-    return splitFlaps;
+        const sleepTimeout = busTime.checkSleep(busTime.clock.now());
+        sleeping.set({}, sleepTimeout === null ? 0 : 1);
+    });
+
+    app.get('/metrics', function getMetrics(req, res) {
+        res.set('Content-Type', Metrics.CONTENT_TYPE);
+        res.send(metrics.format());
+    });
 }
 
 /**
- * Command-line interface for controlling the split flaps.
+ * Default health check configuration.
  *
  * @private
- * @param {module:SplitFlap[]} splitFlaps - The split flaps to control.
- * @param {ReadableStream} [stdin=process.stdin] - Standard input.
- * @param {WritableStream} [stdout=process.stdout] - Standard output.
- * @param {WritableStream} [stderr=process.stderr] - Standard error.
+ * @readonly
+ * @type {Object}
  */
-function splitFlapCLI(
-    splitFlaps,
-    stdin = process.stdin,
-    stdout = process.stdout,
-    stderr = process.stderr
-) {
-    stdin.setEncoding('utf-8');
-    stdout.setEncoding('utf-8');
-    stderr.setEncoding('utf-8');
+const HEALTH_DEFAULTS = Object.freeze({
+    maxAge: 5 * 60,
+    stepperGrace: 30
+});
 
-    stdout.write('> ');
+/**
+ * Checks the health of the display.
+ *
+ * @private
+ * @param {Object} cfg - Health check configuration.
+ * @param {Object} ctx - The server context.
+ * @param {Date} date - The current date.
+ * @returns {Object} The health report, whose `ok` is `false` if the display
+ * is unhealthy.
+ */
+function checkHealth(cfg, ctx, date) {
+    const { modules, splitFlaps, busTime } = ctx;
+    const {
+        lastSuccess, lastError, lastErrorTime, awakeSince, schedule
+    } = busTime;
+    const now = date.getTime();
+    const problems = [];
 
-    /**
-     * Parses the input line into a command.
-     *
-     * @private
-     * @param {string} line - The line.
-     * @returns {Object?} The parsed command, or `null` if parsing failed.
-     */
-    function parseLine(line) {
-        if (line.match(/^(quit|exit)\n$/)) {
-            process.exit(0);    // eslint-disable-line no-process-exit
-        }
+    const wake = schedule.nextWake(busTime.clock.now());
+    const sleeping = wake !== null;
+    const since = Math.max(lastSuccess || 0, awakeSince || 0);
+    const { paused } = busTime;
+    if (!sleeping && !paused && since && now - since > cfg.maxAge * 1000) {
+        problems.push(lastSuccess
+            ? `No predictions since ${lastSuccess.toISOString()}`
+            : `No predictions since waking at ${awakeSince.toISOString()}`);
+    }
 
-        const matches = line.match(/^(.+?) (.+?)\n$/);
-        if (!matches) {
-            return null;
+    const steppers = splitFlaps.map(({ stepper }, i) => {
+        const { activeCommand } = stepper;
+        const pending = activeCommand
+            ? (now - activeCommand.started) / 1000
+            : 0;
+        const stuck = Boolean(activeCommand)
+            && pending > activeCommand.duration + cfg.stepperGrace;
+        if (stuck) {
+            const secs = Math.round(pending);
+            problems.push(`Stepper "${modules[i].name}" stuck for ${secs}s`);
         }
+        return { module: modules[i].name, pending, stuck };
+    });
 
-        const i = Number.parseInt(matches[1], 10);
-        if (Number.isNaN(i) || i < 0 || splitFlaps.length <= i) {
-            return null;
-        }
+    return {
+        ok: !problems.length,
+        problems,
+        lastSuccess,
+        lastError: lastError && {
+            message: lastError.message,
+            time: lastErrorTime
+        },
+        paused,
+        sleeping,
+        wake: sleeping && !Number.isNaN(wake.getTime()) ? wake : null,
+        steppers
+    };
+}
 
-        const flap = matches[2];
-        if (!flap) {
-            return null;
-        }
+/**
+ * Sets up the `/healthz` endpoint, which reports the display's health and
+ * responds with `503 Service Unavailable` if it is unhealthy.
+ *
+ * @private
+ * @param {express.Application} app - The express app.
+ * @param {Object} ctx - The server context.
+ * @param {Object} [cfg] - Health check configuration.
+ * @param {number} [cfg.maxAge=300] - How old predictions may get while the
+ * display is awake, in seconds.
+ * @param {number} [cfg.stepperGrace=30] - How long a stepper command may
+ * overrun its duration before it is considered stuck, in seconds.
+ */
+function setupHealth(app, ctx, cfg = {}) {
+    cfg = Object.assign({}, HEALTH_DEFAULTS, cfg);
+
+    app.get('/healthz', function getHealth(req, res) {
+        const health = checkHealth(cfg, ctx, new Date());
+        res.status(health.ok ? 200 : 503).json(health);
+    });
+}
 
-        return { i, flap };
+/**
+ * Sets up the HTTP server.
+ *
+ * @private
+ * @param {Object} ctx - The server context.
+ * @param {number|string} port - The port to listen on.
+ * @param {Object} cfg - The configuration.
+ * @returns {express.Application} The express app.
+ */
+function setupServer(ctx, port, cfg) {
+    const app = express();
+    app.use(express.static(path.resolve(__dirname, '../www/')));
+    app.use('/doc/', express.static(path.resolve(__dirname, '../doc/')));
+    setupControlAPI(app, ctx.controller);
+
+    setupEventStream(app, ctx);
+    setupMetrics(app, ctx);
+    setupHealth(app, ctx, cfg.health);
+
+    app.listen(port, '0.0.0.0');
+
+    return app;
+}
+
+/**
+ * Sets up the control socket.
+ *
+ * @private
+ * @param {Object} ctx - The server context.
+ * @param {string|boolean} [file] - Path to the control socket, relative to the
+ * configuration file, or `false` to not listen on one.
+ * @param {string} cfgFile - Path to the configuration file.
+ * @returns {module:ControlServer?} The control server, if any.
+ */
+function setupControlServer(ctx, file, cfgFile) {
+    if (file === false) {
+        return null;
     }
 
-    stdin.on('data', async function(line) {
-        stdin.pause();
+    return new ControlServer(ctx, path.resolve(
+        path.dirname(cfgFile), file || DEFAULT_CONTROL_SOCKET
+    ));
+}
 
-        try {
-            const cmd = parseLine(line);
-            if (!cmd) {
-                stdout.write(
-                    `Expected index (0-${splitFlaps.length - 1}), `
-                    + 'steps, and duration\n> '
-                );
-                return;
-            }
+/**
+ * Command-line interface.
+ *
+ * @private
+ * @param {string[]} argv - Command-line arguments.
+ * @returns {Promise} Resolves with the server context, or rejects with an
+ * error.
+ */
+async function cli(argv) {
+    const { flags, positional } = parseArgs(argv.slice(2));
+    if (positional.length < 2) {
+        usage(argv);
+        throw new Error(`Invalid commandline: ${argv}`);
+    }
+    const [cfgFile, port, ...initFlaps] = positional;
+    const simulate = flags.has('--simulate');
 
-            const { i, flap } = cmd;
+    const cfg = JSON.parse(fs.readFileSync(cfgFile));
+    const store = new StateStore(path.resolve(
+        path.dirname(cfgFile), cfg.stateFile || DEFAULT_STATE_FILE
+    ));
 
-            stdout.write(`${i}: flap "${flap}" `);
-            const splitFlap = splitFlaps[i];
-            await splitFlap.setFlap(flap);
+    const ctx = setupDisplay(cfg.display, { store, initFlaps, simulate });
+    ctx.busTime = setupBusTime(cfg, ctx.rows, cfgFile);
+    ctx.shutdown = setupShutdown(cfg.shutdown, ctx);
 
-            const {
-                currentFlap, stepper: { currentStep }
-            } = splitFlap;
-            stdout.write(`-> "${currentFlap}", ${currentStep}\n> `);
-        } catch (err) {
-            stderr.write(
-                `\n'${line.trim()}' failed:\n`
-                + `${err.message}\n${err.stack}\n> `
-            );
-        } finally {
-            stdin.resume();
-        }
-    });
+    setupServer(ctx, port, cfg);
+    ctx.controlServer = setupControlServer(ctx, cfg.controlSocket, cfgFile);
+
+    return ctx;
+}
+
+/**
+ * Command-line interface for controlling the split flaps; see
+ * [`Console`]{@link module:Console} for the commands.
+ *
+ * @private
+ * @param {Object} ctx - The server context.
+ * @param {ReadableStream} [stdin=process.stdin] - Standard input.
+ * @param {WritableStream} [stdout=process.stdout] - Standard output.
+ * @returns {module:Console} The console.
+ */
+function splitFlapCLI(ctx, stdin = process.stdin, stdout = process.stdout) {
+    return new Console(ctx, stdin, stdout);
 }
 
 cli(process.argv).then(splitFlapCLI).catch(err => {
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Command-line stand-in for the BusTime API, serving a scripted scenario
+ * (see [`MockBusTime`]{@link module:MockBusTime}) until interrupted.
+ *
+ * @module track-o-matic/mock-bustime
+ */
+
+if (module !== require.main) {
+    return;
+}
+
+const fs = require('fs');
+const path = require('path');
+
+const MockBusTime = require('./MockBusTime');
+
+/**
+ * Exit status when the command line or scenario is invalid.
+ *
+ * @private
+ * @readonly
+ * @type {number}
+ */
+const EXIT_USAGE = 2;
+
+/**
+ * Prints command-line usage.
+ *
+ * @private
+ * @param {string[]} argv - Command-line arguments.
+ */
+function usage(argv) {
+    const script = path.relative('.', argv[1]);
+    console.error(`Usage: ${script} <port> [scenarioFile]`);
+}
+
+/**
+ * Command-line interface.
+ *
+ * @private
+ * @param {string[]} argv - Command-line arguments.
+ * @returns {Promise} Resolves with the exit status, or `null` once
+ * listening.
+ */
+async function cli(argv) {
+    const [port, file] = argv.slice(2);
+    if (!port) {
+        usage(argv);
+        return EXIT_USAGE;
+    }
+
+    let mock;
+    try {
+        mock = new MockBusTime(file
+            ? JSON.parse(fs.readFileSync(file, 'utf-8'))
+            : MockBusTime.DEFAULT_SCENARIO);
+    } catch (err) {
+        console.error(`Invalid scenario: ${err.message}`);
+        return EXIT_USAGE;
+    }
+
+    await mock.listen(Number.parseInt(port, 10));
+    console.log(`Serving ${file || 'the default scenario'} on port ${port}`);
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.once(signal, () => mock.close());
+    });
+    return null;
+}
+
+cli(process.argv).then(status => {
+    if (status !== null) {
+        process.exitCode = status;
+    }
+}, err => {
+    console.error(err.message);
+    process.exitCode = EXIT_USAGE;
+});
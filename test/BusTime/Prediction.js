@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+
+const Prediction = require('../../lib/BusTime/Prediction');
+const { loadPredictions } = require('../fixtures');
+
+describe('Prediction', () => {
+    describe('with typed fields', () => {
+        const prds = loadPredictions('getpredictions');
+
+        it('parses the dynamic action type', () => {
+            assert.deepStrictEqual(prds.map(prd => prd.dyn), [
+                Prediction.DYN.NONE,
+                Prediction.DYN.NONE,
+                Prediction.DYN.CANCELED,
+                Prediction.DYN.NONE,
+                Prediction.DYN.EXPRESSED,
+                Prediction.DYN.SHIFTED
+            ]);
+        });
+
+        it('parses the delay flag', () => {
+            assert.deepStrictEqual(
+                prds.map(prd => prd.dly),
+                [false, false, false, true, false, true]
+            );
+        });
+
+        it('counts a due bus as 0 minutes away', () => {
+            assert.strictEqual(prds[1].prdctdn, 0);
+            assert.strictEqual(prds[0].prdctdn, 4);
+        });
+
+        it('parses timestamps in the agency time zone', () => {
+            assert.strictEqual(
+                prds[0].tmstmp.toISOString(), '2026-10-19T18:05:00.000Z'
+            );
+            assert.strictEqual(
+                prds[0].prdtm.toISOString(), '2026-10-19T18:09:00.000Z'
+            );
+        });
+
+        it('counts down to the predicted time from now', () => {
+            const now = new Date('2026-10-19T18:06:30.000Z');
+            assert.strictEqual(prds[0].timeUntil(now), 2.5 * 60 * 1000);
+            assert.strictEqual(
+                prds[0].timeUntil(prds[0].tmstmp), 4 * 60 * 1000
+            );
+        });
+    });
+
+    describe('with string fields', () => {
+        const prds = loadPredictions('getpredictions-strings');
+
+        it('parses the dynamic action type', () => {
+            assert.deepStrictEqual(
+                prds.map(prd => prd.dyn),
+                [Prediction.DYN.NONE, Prediction.DYN.CANCELED]
+            );
+        });
+
+        it('parses the delay flag', () => {
+            assert.deepStrictEqual(prds.map(prd => prd.dly), [true, false]);
+        });
+
+        it('parses the distance', () => {
+            assert.strictEqual(prds[0].dstp, 1320);
+        });
+
+        it('keeps the fields when serialized', () => {
+            const json = JSON.parse(JSON.stringify(prds[1]));
+            assert.strictEqual(json.dyn, Prediction.DYN.CANCELED);
+            assert.strictEqual(json.dly, false);
+            assert.strictEqual(json.prdtm, '2026-10-20T04:10:00.000Z');
+        });
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+
+const MockStepper = require('../lib/MockStepper');
+const SplitFlap = require('../lib/SplitFlap');
+const Stepper = require('../lib/Stepper');
+
+const TOTAL_STEPS = 64;
+const FLAPS = ['_', '1', '2', '3', '4', '5', '6', '7'];
+
+/**
+ * Creates a split-flap display on a simulated stepper, with a flap every 8
+ * steps.
+ *
+ * @returns {module:SplitFlap} The display.
+ */
+function createSplitFlap() {
+    const stepper = new Stepper(TOTAL_STEPS, new MockStepper(TOTAL_STEPS));
+    return new SplitFlap(stepper, FLAPS, FLAPS.length, 0.1);
+}
+
+describe('SplitFlap', () => {
+    describe('setFlap()', () => {
+        it('moves one move at a time from where the last one ended', () => {
+            const splitFlap = createSplitFlap();
+            return Promise.all([
+                splitFlap.setFlap('2'),
+                splitFlap.setFlap('4')
+            ]).then(() => {
+                assert.strictEqual(splitFlap.currentFlap, '4');
+                assert.strictEqual(splitFlap.stepper.currentStep, 32);
+            });
+        }).timeout(5000);
+
+        it('skips a move to the flap an earlier move ends on', () => {
+            const splitFlap = createSplitFlap();
+            const moves = [];
+            splitFlap.on('move', ({ steps }) => moves.push(steps));
+            return Promise.all([
+                splitFlap.setFlap('3'),
+                splitFlap.setFlap('3')
+            ]).then(() => {
+                assert.deepStrictEqual(moves, [24]);
+                assert.strictEqual(splitFlap.stepper.currentStep, 24);
+            });
+        }).timeout(5000);
+
+        it('rejects unknown flaps', () => {
+            const splitFlap = createSplitFlap();
+            return splitFlap.setFlap('8').then(() => {
+                assert.fail('Expected an error');
+            }, err => {
+                assert.strictEqual(err.message, 'Unknown flap "8"');
+            });
+        });
+    });
+
+    describe('cancel()', () => {
+        it('cancels queued moves before they start', () => {
+            const splitFlap = createSplitFlap();
+            const first = splitFlap.setFlap('2').catch(err => err);
+            const second = splitFlap.setFlap('4').catch(err => err);
+            return splitFlap.cancel()
+                .then(() => Promise.all([first, second]))
+                .then(([firstErr, secondErr]) => {
+                    assert(firstErr instanceof Stepper.CancelError);
+                    assert(secondErr instanceof Stepper.CancelError);
+
+                    const { currentStep } = splitFlap.stepper;
+                    assert(currentStep < 16);
+                    assert.strictEqual(
+                        splitFlap.currentFlap, currentStep < 4 ? '_' : '1'
+                    );
+                });
+        });
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+
+const TripStatus = require('../lib/TripStatus');
+const { loadPredictions } = require('./fixtures');
+
+describe('TripStatus', () => {
+    const prds = loadPredictions('getpredictions');
+    const [onTime, due, canceled, delayed, expressed, shifted] = prds;
+
+    describe('by default', () => {
+        const status = new TripStatus();
+
+        it('drops canceled and expressed trips', () => {
+            assert.deepStrictEqual(
+                status.apply(prds),
+                [onTime, due, delayed, shifted]
+            );
+        });
+
+        it('flags delayed trips', () => {
+            assert.strictEqual(status.flap(delayed), 'DLY');
+            assert.strictEqual(status.flap(shifted), 'DLY');
+        });
+
+        it('leaves other trips and blank rows blank', () => {
+            assert.strictEqual(status.flap(onTime), '_');
+            assert.strictEqual(status.flap(null), '_');
+        });
+    });
+
+    describe('flagging canceled and showing expressed trips', () => {
+        const status = new TripStatus({
+            canceled: 'flag',
+            expressed: 'show',
+            flaps: { canceled: 'CAN' }
+        });
+
+        it('keeps every trip in order', () => {
+            assert.deepStrictEqual(status.apply(prds), prds);
+        });
+
+        it('flags canceled trips', () => {
+            assert.strictEqual(status.flap(canceled), 'CAN');
+            assert.strictEqual(status.flap(delayed), 'DLY');
+        });
+
+        it('shows expressed trips like any other', () => {
+            assert.strictEqual(status.test(expressed), true);
+            assert.strictEqual(status.flap(expressed), '_');
+        });
+    });
+
+    it('flags canceled trips from string fields', () => {
+        const status = new TripStatus({ canceled: 'flag' });
+        const [late, stringCanceled] = loadPredictions(
+            'getpredictions-strings'
+        );
+
+        assert.strictEqual(status.flap(late), 'DLY');
+        assert.strictEqual(status.flap(stringCanceled), 'CXL');
+    });
+
+    it('rejects unknown options', () => {
+        assert.throws(() => new TripStatus({ canceled: 'hide' }), /canceled/);
+        assert.throws(() => new TripStatus({ expressed: 'flag' }), /expressed/);
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Recorded BusTime API responses, for tests.
+ *
+ * @module test/fixtures
+ */
+
+const BusTime = require('../../lib/BusTime');
+const Prediction = require('../../lib/BusTime/Prediction');
+const TimeZone = require('../../lib/TimeZone');
+
+/**
+ * The time zone of the agency the responses were recorded from.
+ *
+ * @readonly
+ * @type {module:TimeZone}
+ */
+const AGENCY_ZONE = new TimeZone('America/New_York');
+
+/**
+ * Loads the predictions from a recorded `getpredictions` response.
+ *
+ * @param {string} name - The fixture's name, without `.json`.
+ * @returns {module:BusTime/Prediction[]} The predictions, in the order
+ * recorded.
+ */
+function loadPredictions(name) {
+    const response = BusTime.parseResponse(require(`./${name}.json`));
+    return response.prd.map(prd => new Prediction(prd, AGENCY_ZONE));
+}
+
+module.exports = { AGENCY_ZONE, loadPredictions };
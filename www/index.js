@@ -1,271 +1,333 @@
 'use strict';
 
 /**
- * Initializes an event target.
+ * Creates an element.
  *
- * @class
- * @classdesc Represents an event target.
+ * @param {string} tag - The element's tag name.
+ * @param {string} [className] - The element's class name.
+ * @returns {Element} The element.
  */
-function EventTarget() {
-    Object.defineProperties(this,
-        /** @lends EventTarget.prototype */
-        {
-            listeners: { value: {}}
-        }
-    );
+function createElement(tag, className) {
+    var elem = document.createElement(tag);
+    if (className) {
+        elem.className = className;
+    }
+    return elem;
 }
 
 /**
- * Adds an event listener.
+ * Initializes the display of a split-flap module.
  *
- * @param {string} type - The event to listen for.
- * @param {Function} callback - The listener.
- */
-EventTarget.prototype.addEventListener = function(type, callback) {
-    if (!(type in this.listeners)) {
-        this.listeners[type] = [];
-    }
-    this.listeners[type].push(callback);
-};
-
-/**
- * Removes an event listener.
+ * @class
+ * @classdesc Represents the display of a split-flap module.
  *
- * @param {string} type - The event to remove.
- * @param {Function} callback - The listener to remove.
+ * @param {Object} desc - The module's description.
  */
-EventTarget.prototype.removeEventListener = function(type, callback) {
-    if (!(type in this.listeners)) {
-        return;
-    }
-    var stack = this.listeners[type];
-    for (var i = 0, l = stack.length; i < l; i++) {
-        if (stack[i] === callback){
-            stack.splice(i, 1);
-            return;
+function Motor(desc) {
+    var elem = createElement('div', 'motor');
+    var dial = createElement('p');
+    var label = createElement('span', 'label');
+    elem.appendChild(dial);
+    elem.appendChild(label);
+
+    Object.defineProperties(this,
+        /** @lends Motor.prototype */
+        {
+            /**
+             * The module's name.
+             *
+             * @readonly
+             * @type {string}
+             */
+            name: { value: desc.name },
+
+            /**
+             * The number of steps the module's stepper has.
+             *
+             * @readonly
+             * @type {number}
+             */
+            totalSteps: { value: desc.totalSteps },
+
+            /**
+             * The motor element.
+             *
+             * @readonly
+             * @type {Element}
+             */
+            elem: { value: elem },
+
+            /**
+             * The dial element, rotated to match the stepper.
+             *
+             * @private
+             * @readonly
+             * @type {Element}
+             */
+            dial: { value: dial },
+
+            /**
+             * The label element, showing the current flap.
+             *
+             * @private
+             * @readonly
+             * @type {Element}
+             */
+            label: { value: label }
         }
-    }
-};
+    );
+
+    this.setStep(desc.step);
+    this.setFlap(desc.currentFlap);
+}
 
 /**
- * Dispatches an event.
+ * Rotates the dial to match the stepper's position.
  *
- * @param {Event} event - The event to dispatch.
- * @returns {boolean} `false` if the event was cancelled; `true` otherwise.
+ * @param {number} step - The stepper's position.
  */
-EventTarget.prototype.dispatchEvent = function(event) {
-    if (!(event.type in this.listeners)) {
-        return true;
-    }
-    var stack = this.listeners[event.type];
-
-    for (var i = 0, l = stack.length; i < l; i++) {
-        stack[i].call(this, event);
-    }
-    return !event.defaultPrevented;
+Motor.prototype.setStep = function(step) {
+    var dial = this.dial;
+    var transform = 'rotate(' + step / this.totalSteps * 360 + 'deg)';
+    window.requestAnimationFrame(function() {
+        dial.style.transform = transform;
+    });
 };
 
 /**
- * Initializes the motor display.
- *
- * @class
- * @classdesc Represents the motor display.
+ * Shows the current flap.
  *
- * @param {NodeList} elems - The motor elements.
+ * @param {string} flap - The current flap.
  */
-function Motors(elems) {
-    var length = elems.length;
-    if (length !== 4) {
-        throw new Error('Expected 4 elements, got ' + length);
-    }
-
-    var angles = new Array(length);
-
-    /** @lends Motors.prototype */
-    var props = {
-        /**
-         * The number of motor elements.
-         *
-         * @readonly
-         * @type {NodeList}
-         */
-        length: { value: length }
-    };
-
-    elems.forEach(function(elem, i) {
-        angles[i] = 0;
-
-        props[i] = {
-            get: function() { return angles[i]; },
-
-            set: function(value) {
-                angles[i] = value;
-
-                var transform = 'rotate(' + value / 2048 * 360 + 'deg)';
-                window.requestAnimationFrame(function() {
-                    elem.style.transform = transform;
-                });
-            }
-        };
-    });
-
-    Object.defineProperties(this, props);
-}
+Motor.prototype.setFlap = function(flap) {
+    this.label.textContent = this.name + ': ' + flap;
+};
 
 /**
- * Initializes the status stream.
+ * Initializes the status display.
  *
  * @class
- * @classdesc Represents a status stream.
- * @extends EventTarget
+ * @classdesc Represents the status display.
  *
- * @param {string} url - The URL of the stream.
+ * @param {Element} root - The element to display status in.
  */
-function StatusStream(url) {
-    EventTarget.call(this);
-
+function Status(root) {
     Object.defineProperties(this,
-        /** @lends StatusStream.prototype */
+        /** @lends Status.prototype */
         {
             /**
-             * The URL of the stream.
+             * The motors' container.
              *
+             * @private
              * @readonly
-             * @type {string}
+             * @type {Element}
              */
-            url: { value: url },
+            motorsElem: { value: root.querySelector('.motors') },
 
             /**
-             * The associated request, or `null` if no request is active.
+             * The predictions list.
              *
              * @private
-             * @type {XMLHttpRequest?}
+             * @readonly
+             * @type {Element}
              */
-            req: { value: null, writable: true },
+            predictionsElem: { value: root.querySelector('.predictions') },
 
             /**
-             * Restart timer, or `null` if no timer is active.
+             * The next update's description.
              *
              * @private
-             * @type {number?}
+             * @readonly
+             * @type {Element}
              */
-            restartTimer: { value: null, writable: true },
+            nextElem: { value: root.querySelector('.next') },
 
             /**
-             * The number of characters consumed so far.
+             * The page being shown.
              *
              * @private
-             * @type {number}
+             * @readonly
+             * @type {Element}
+             */
+            pageElem: { value: root.querySelector('.page') },
+
+            /**
+             * The connection and update errors.
+             *
+             * @private
+             * @readonly
+             * @type {Element}
+             */
+            errorElem: { value: root.querySelector('.error') },
+
+            /**
+             * The motors, indexed by module.
+             *
+             * @private
+             * @type {Motor[]}
              */
-            consumed: { value: 0, writable: true }
+            motors: { value: [], writable: true }
         }
     );
-
-    this.start = this.start.bind(this);
-    this.abort = this.abort.bind(this);
-    this.reqStateChange = this.reqStateChange.bind(this);
 }
 
-StatusStream.prototype = Object.create(EventTarget.prototype);
-
 /**
- * Request state change handler.
+ * Resets the display to the given snapshot.
  *
- * @private
- * @param {Event} evt - The state change event.
+ * @param {Object} snapshot - The snapshot.
  */
-StatusStream.prototype.reqStateChange = function(evt) {
-    var req = evt.target;
-    if (req.readyState !== req.LOADING) {
-        return;
-    }
+Status.prototype.reset = function(snapshot) {
+    var motors = snapshot.modules.map(function(desc) {
+        return new Motor(desc);
+    });
 
-    var body = req.responseText;
-    var start = this.consumed;
-    while (start < body.length) {
-        var end = body.indexOf('\0', start);
-        if (end < 0) {
-            // Incomplete packet.
-            break;
+    // One section per row, then one for any modules not in a row.
+    var sections = snapshot.rows.map(function(row) {
+        return Object.keys(row).map(function(role) {
+            return row[role];
+        });
+    });
+    var unused = motors.map(function(motor, i) {
+        return i;
+    }).filter(function(i) {
+        return !sections.some(function(section) {
+            return section.indexOf(i) >= 0;
+        });
+    });
+    sections.push(unused);
+
+    var motorsElem = this.motorsElem;
+    motorsElem.innerHTML = '';
+    sections.forEach(function(section) {
+        if (!section.length) {
+            return;
         }
 
-        // Consume packet.
-        var packet = body.substring(start, end);
-        this.consumed = start = end + 1;
+        var sectionElem = createElement('section');
+        section.forEach(function(i) {
+            sectionElem.appendChild(motors[i].elem);
+        });
+        motorsElem.appendChild(sectionElem);
+    });
+
+    this.motors = motors;
+    this.setPredictions(snapshot.predictions);
+    this.setPage(snapshot.page);
+    this.setNext(snapshot.next);
+    this.setError(snapshot.lastError && snapshot.lastError.message);
+};
 
-        var dataEvt = new Event('data');
-        dataEvt.data = packet;
-        this.dispatchEvent(dataEvt);
+/**
+ * Rotates a motor's dial.
+ *
+ * @param {Object} data - The `step` event's data.
+ */
+Status.prototype.setStep = function(data) {
+    var motor = this.motors[data.module];
+    if (motor) {
+        motor.setStep(data.step);
     }
 };
 
 /**
- * Starts a new request, aborting the current one if it exists.
+ * Shows a motor's current flap.
  *
- * @private
+ * @param {Object} data - The `flap` event's data.
  */
-StatusStream.prototype.start = function() {
-    var req = new XMLHttpRequest();
-
-    var startReq = function() {
-        req.open('GET', this.url);
-        req.addEventListener('readystatechange', this.reqStateChange);
-        req.send();
-        this.restartTimer = window.setTimeout(this.start, 1.5 * 60 * 1000);
-    }.bind(this);
-
-    if (this.req) {
-        // Request in progress; we must wait for it to abort.
-        this.req.addEventListener('abort', startReq);
-        this.abort();
-    } else {
-        startReq();
+Status.prototype.setFlap = function(data) {
+    var motor = this.motors[data.module];
+    if (motor) {
+        motor.setFlap(data.flap);
     }
+};
 
-    this.req = req;
+/**
+ * Shows the latest predictions.
+ *
+ * @param {Object[]} prds - The predictions.
+ */
+Status.prototype.setPredictions = function(prds) {
+    var predictionsElem = this.predictionsElem;
+    predictionsElem.innerHTML = '';
+    prds.forEach(function(prd) {
+        var item = createElement('li');
+        item.textContent = prd.rt + ' ' + prd.rtdir + ' to ' + prd.des
+            + ' at ' + prd.stpnm + ': ' + prd.countdown + ' min';
+        if (prd.dyn === 1) {
+            item.textContent += ' (canceled)';
+        } else if (prd.dly) {
+            item.textContent += ' (delayed)';
+        }
+        predictionsElem.appendChild(item);
+    });
 };
 
 /**
- * Aborts the currently-active request.
+ * Shows when the next update will happen.
  *
- * @returns {void}
+ * @param {Object?} next - The `next` event's data, or `null` if unknown.
  */
-StatusStream.prototype.abort = function() {
-    var req = this.req;
-    if (!req) {
+Status.prototype.setNext = function(next) {
+    if (!next) {
+        this.nextElem.textContent = '';
         return;
     }
 
-    if (this.restartTimer) {
-        window.clearTimeout(this.restartTimer);
-        this.restartTimer = null;
-    }
-
-    this.req = null;
-    this.consumed = 0;
+    var time = new Date(next.time).toLocaleTimeString();
+    this.nextElem.textContent = next.sleeping
+        ? 'Sleeping until ' + time
+        : 'Next update: ' + time;
+};
 
-    // This must happen last to ensure that anybody waiting for the request to
-    // abort sees that no request is in progress.
-    req.abort();
+/**
+ * Shows the page being shown.
+ *
+ * @param {Object?} page - The `page` event's data, or `null` if unknown.
+ */
+Status.prototype.setPage = function(page) {
+    this.pageElem.textContent = page ? 'Page: ' + page.name : '';
 };
 
-StatusStream.prototype.constructor = StatusStream;
+/**
+ * Shows an error.
+ *
+ * @param {string?} message - The error message, or `null` to clear it.
+ */
+Status.prototype.setError = function(message) {
+    this.errorElem.textContent = message || '';
+};
 
 window.addEventListener('load', function() {
-    var motorElems =
-        document.querySelectorAll('.motors .motor > *:first-child');
-    var motors = new Motors(motorElems);
-    void motors;
-    var statusStream = new StatusStream('/status');
-
-    statusStream.addEventListener('data', function(evt) {
-        var matches = evt.data.match(/^(.+?) (.+)$/);
-        if (!matches){
-            return;
-        }
+    var status = new Status(document.querySelector('main'));
+    var events = new EventSource('/events');
+
+    /**
+     * Adds a listener for events with JSON data.
+     *
+     * @param {string} type - The event type.
+     * @param {Function} callback - Called with the parsed data.
+     */
+    function listen(type, callback) {
+        events.addEventListener(type, function(evt) {
+            callback.call(status, JSON.parse(evt.data));
+        });
+    }
 
-        motors[matches[1]] = matches[2];
+    // Sent on every (re)connection, so the display is never stale.
+    listen('snapshot', status.reset);
+    listen('step', status.setStep);
+    listen('flap', status.setFlap);
+    listen('predictions', function(prds) {
+        status.setPredictions(prds);
+        status.setError(null);
+    });
+    listen('page', status.setPage);
+    listen('next', status.setNext);
+    listen('updateError', function(err) {
+        status.setError('Update failed: ' + err.message);
     });
-    statusStream.start();
-});
 
+    events.addEventListener('error', function() {
+        status.setError('Disconnected; reconnecting...');
+    });
+});